@@ -0,0 +1,82 @@
+// api/changelog.js
+import { findLibrary } from '../lib/config.js';
+import { authenticateAdmin, canAccessFile } from '../lib/admin-auth.js';
+import { getHistory } from '../lib/history.js';
+import { CHANGELOG_FORMATS } from '../lib/changelog.js';
+import { logger } from '../lib/logger.js';
+
+// Publish history as a changelog:
+//   GET /api/changelog?format=markdown|json|rss|atom
+//                     &library=<name or file key>&from=2026-01-01&to=2026-02-01
+//                     &type=feat,fix&component=Button*&limit=100
+// Needs a 'read' admin token unless CHANGELOG_PUBLIC=true (feed readers can't send headers).
+const DEFAULT_LIMIT = 200;
+
+function listParam(value) {
+  return value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+function dateParam(value, endOfDay) {
+  if (!value) {
+    return null;
+  }
+  // Bare dates cover the whole day, so to=2026-02-01 includes publishes on the 1st
+  const text = /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z` : value;
+  const ms = Date.parse(text);
+  return Number.isNaN(ms) ? NaN : ms;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let admin = null;
+  if (process.env.CHANGELOG_PUBLIC !== 'true') {
+    const auth = authenticateAdmin(req, 'read');
+    if (!auth.ok) {
+      logger.warn('Changelog authentication failed', { error: auth.error });
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    admin = auth.admin;
+  }
+
+  const format = CHANGELOG_FORMATS[req.query.format || 'markdown'];
+  if (!format) {
+    return res.status(400).json({ error: `format must be one of ${Object.keys(CHANGELOG_FORMATS).join(', ')}` });
+  }
+
+  const match = req.query.library ? findLibrary(req.query.library) : null;
+  if (req.query.library && !match) {
+    return res.status(404).json({ error: `No library matches '${req.query.library}'` });
+  }
+
+  const from = dateParam(req.query.from, false);
+  const to = dateParam(req.query.to, true);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ error: 'from and to must be ISO dates like 2026-01-31' });
+  }
+
+  const limit = Math.min(Number(req.query.limit) || DEFAULT_LIMIT, 1000);
+
+  try {
+    const entries = (await getHistory({
+      fileKey: match?.fileKey,
+      from,
+      to,
+      types: listParam(req.query.type),
+      components: listParam(req.query.component)
+    }))
+      .filter(entry => !admin || canAccessFile(admin, entry.fileKey))
+      .slice(0, limit);
+
+    const title = match ? `${match.library.name} changelog` : 'Design system changelog';
+    const link = `https://${req.headers?.host || 'localhost'}${req.url || '/api/changelog'}`;
+
+    res.setHeader('Content-Type', format.contentType);
+    return res.status(200).send(format.render(entries, { title, link }));
+  } catch (error) {
+    logger.error('Changelog export failed', { error });
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+}
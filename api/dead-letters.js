@@ -0,0 +1,94 @@
+// api/dead-letters.js
+import { authenticateAdmin, canAccessFile, recordAudit } from '../lib/admin-auth.js';
+import { getDeadLetters, getDeadLetter, discardDeadLetter, replayDeadLetter } from '../lib/delivery.js';
+import { logger, withLogContext } from '../lib/logger.js';
+
+// Notifications that failed after every retry (see lib/delivery.js).
+//   GET                 list dead letters ('read')
+//   GET    ?id=<id>     one dead letter with its full job ('read')
+//   POST   ?id=<id>     replay it ('replay')
+//   DELETE ?id=<id>     discard it ('delete')
+const METHOD_SCOPES = { GET: 'read', POST: 'replay', DELETE: 'delete' };
+
+function summarize({ id, job, error, code, attempts, replays, failedAt }) {
+  return {
+    id,
+    eventType: job.eventType,
+    fileKey: job.fileKey,
+    summary: job.parsed.message || job.parsed.text || null,
+    error,
+    code,
+    attempts,
+    replays,
+    failedAt: new Date(failedAt).toISOString()
+  };
+}
+
+export default async function handler(req, res) {
+  const startTime = Date.now();
+
+  const scope = METHOD_SCOPES[req.method];
+  if (!scope) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const auth = authenticateAdmin(req, scope);
+  if (!auth.ok) {
+    logger.warn('Admin authentication failed', { error: auth.error });
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  const { admin } = auth;
+  const { id } = req.query;
+
+  if (req.method === 'GET' && !id) {
+    const deadLetters = (await getDeadLetters())
+      .filter(entry => canAccessFile(admin, entry.job.fileKey))
+      .sort((a, b) => b.failedAt - a.failedAt)
+      .map(summarize);
+    return res.status(200).json({ deadLetters });
+  }
+
+  if (!id) {
+    return res.status(400).json({ error: 'id query parameter required' });
+  }
+
+  const entry = await getDeadLetter(id);
+  if (!entry || !canAccessFile(admin, entry.job.fileKey)) {
+    return res.status(404).json({ error: 'Dead letter not found' });
+  }
+
+  if (req.method === 'GET') {
+    return res.status(200).json({ deadLetter: { id, ...entry } });
+  }
+
+  if (req.method === 'DELETE') {
+    await discardDeadLetter(id);
+    await recordAudit(admin, 'dead-letter-discard', { id, fileKey: entry.job.fileKey, error: entry.error });
+    return res.status(200).json({ success: true, message: `Dead letter ${id} discarded` });
+  }
+
+  try {
+    // Replay logs carry the original request's ID
+    const result = await withLogContext(
+      { requestId: id, fileKey: entry.job.fileKey, eventType: entry.job.eventType },
+      () => replayDeadLetter(id)
+    );
+    await recordAudit(admin, result.success ? 'dead-letter-replay' : 'dead-letter-replay-failed', {
+      id,
+      fileKey: entry.job.fileKey,
+      reason: result.details || result.reason
+    });
+
+    const processingTime = Date.now() - startTime;
+    return res.status(result.success ? 200 : 502).json({ ...result, id, processingTime: `${processingTime}ms` });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    logger.error('Dead letter replay failed', { requestId: id, error, durationMs: processingTime });
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      processingTime: `${processingTime}ms`
+    });
+  }
+}
@@ -0,0 +1,48 @@
+// api/digest.js
+import { flushDigests } from '../lib/digest.js';
+import { safeCompare } from '../lib/webhook-auth.js';
+import { logger } from '../lib/logger.js';
+
+const SCHEDULES = ['daily', 'weekly'];
+
+// Cron route that posts queued digest entries. Vercel cron sends
+// "Authorization: Bearer $CRON_SECRET" (schedules are in vercel.json).
+export default async function handler(req, res) {
+  const startTime = Date.now();
+  
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  
+  const cronSecret = process.env.CRON_SECRET;
+  const provided = (req.headers?.authorization || '').replace(/^Bearer\s+/i, '');
+  if (!cronSecret || !safeCompare(provided, cronSecret)) {
+    logger.warn('Digest cron authentication failed');
+    return res.status(401).json({ error: 'Authentication failed' });
+  }
+  
+  const schedule = req.query.schedule || 'daily';
+  if (!SCHEDULES.includes(schedule)) {
+    return res.status(400).json({ error: `schedule must be one of ${SCHEDULES.join(', ')}` });
+  }
+  
+  try {
+    const results = await flushDigests(schedule);
+    const processingTime = Date.now() - startTime;
+    
+    return res.status(200).json({
+      success: results.every(result => result.success),
+      schedule,
+      results,
+      processingTime: `${processingTime}ms`
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    logger.error('Digest flush failed', { schedule, error, durationMs: processingTime });
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      processingTime: `${processingTime}ms`
+    });
+  }
+}
@@ -0,0 +1,76 @@
+// api/health.js
+import { getStore } from '../lib/storage.js';
+import { logger } from '../lib/logger.js';
+
+// Health check for uptime monitors: config validity, Slack auth (auth.test) and the store.
+// Returns 200 when every check passes, otherwise 503. It's public, so failures are summarised
+// here and logged in full.
+const STORE_PROBE_TTL = 60 * 1000;
+
+async function checkConfig() {
+  try {
+    // Imported here so an invalid config is reported instead of failing the whole function
+    const { LIBRARY_CONFIG } = await import('../lib/config.js');
+    return { ok: true, libraries: Object.keys(LIBRARY_CONFIG).length };
+  } catch (error) {
+    logger.error('Health check: config is invalid', { error });
+    return {
+      ok: false,
+      error: error.name === 'ConfigError' ? `Invalid config (${error.errors.length} problem(s))` : 'Config could not be loaded'
+    };
+  }
+}
+
+async function checkSlack() {
+  try {
+    const { slack, callSlack } = await import('../lib/slack.js');
+    const result = await callSlack('auth.test', () => slack.auth.test());
+    return { ok: true, team: result.team, botUserId: result.user_id };
+  } catch (error) {
+    logger.error('Health check: Slack auth failed', { error });
+    return { ok: false, error: error.data?.error || error.code || 'Slack auth failed' };
+  }
+}
+
+async function checkStore() {
+  const store = getStore();
+  try {
+    const probe = Date.now();
+    await store.set('health', 'probe', probe, STORE_PROBE_TTL);
+    if ((await store.get('health', 'probe')) !== probe) {
+      return { ok: false, backend: store.name, error: 'Read back a different value' };
+    }
+    // Every Vercel instance needs to see the same dedup, sent-message and digest state
+    if (process.env.VERCEL && !store.shared) {
+      return { ok: false, backend: store.name, error: 'Not shared between instances, set up Vercel KV (STORAGE_BACKEND=redis)' };
+    }
+    return { ok: true, backend: store.name };
+  } catch (error) {
+    logger.error('Health check: store failed', { error });
+    return { ok: false, backend: store.name, error: error.message };
+  }
+}
+
+export default async function handler(req, res) {
+  const startTime = Date.now();
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const config = await checkConfig();
+  const checks = {
+    config,
+    // Slack is only reachable through modules that load the config
+    slack: config.ok ? await checkSlack() : { ok: false, error: 'Skipped: config is invalid' },
+    storage: await checkStore()
+  };
+  const healthy = Object.values(checks).every(check => check.ok);
+  const processingTime = Date.now() - startTime;
+
+  return res.status(healthy ? 200 : 503).json({
+    status: healthy ? 'ok' : 'unhealthy',
+    checks,
+    processingTime: `${processingTime}ms`
+  });
+}
@@ -0,0 +1,28 @@
+// api/metrics.js
+import { authenticateAdmin } from '../lib/admin-auth.js';
+import { renderPrometheus } from '../lib/metrics.js';
+import { logger } from '../lib/logger.js';
+
+// Prometheus scrape target (see lib/metrics.js for the series).
+// Needs a 'read' admin token as a bearer token unless METRICS_PUBLIC=true.
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (process.env.METRICS_PUBLIC !== 'true') {
+    const auth = authenticateAdmin(req, 'read');
+    if (!auth.ok) {
+      logger.warn('Metrics authentication failed', { error: auth.error });
+      return res.status(auth.status).json({ error: auth.error });
+    }
+  }
+
+  try {
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    return res.status(200).send(renderPrometheus());
+  } catch (error) {
+    logger.error('Metrics export failed', { error });
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+}
@@ -0,0 +1,298 @@
+// api/slack-commands.js
+import { verifySlackRequest, isSlackAdmin } from '../lib/slack-auth.js';
+import { LIBRARY_CONFIG, findLibrary } from '../lib/config.js';
+import { resolveCommitType, describeCommitType, commitTypeNames } from '../lib/commit-types.js';
+import { parseSemanticCommit, shouldSendNotification } from '../lib/commits.js';
+import { checkDigest } from '../lib/digest.js';
+import { buildSlackNotification, getSentMessages, messagePosts } from '../lib/slack.js';
+import { parseDuration, muteLibrary, unmuteLibrary, getLibraryMute } from '../lib/mutes.js';
+import { resolveChannels } from '../lib/routing.js';
+import { resolveMentions } from '../lib/mentions.js';
+import { getSubscriptions, addSubscription, removeSubscription, describeSubscription } from '../lib/subscriptions.js';
+import { normalizeVersion, getLibraryVersion, previewRelease, setLibraryVersion } from '../lib/versions.js';
+import { lintDescription, knownComponentNames, formatLintProblems } from '../lib/lint.js';
+import { logger } from '../lib/logger.js';
+
+// /figma-updates slash command. Every reply is ephemeral.
+const LIST_LIMIT = 10;
+
+// Slack signs the raw form body, so it must reach verifySlackRequest unparsed
+export const config = { api: { bodyParser: false } };
+
+const USAGE = [
+  '*Usage:* `/figma-updates <command>`',
+  '• `list [library]` — recent notifications',
+  '• `status` — configured libraries, channels and rules',
+  '• `test [library |] <description>` — preview what a publish description would send (use `\\n` for new lines)',
+  '• `subscribe <Component, Other*> [library:<name>] [types:feat,fix]` — get a DM when matching components ship',
+  '• `subscriptions` / `unsubscribe <id|all>` — manage your DM subscriptions',
+  '• `version <library> [1.2.0]` — show the library version, or set it (admins only)',
+  '• `mute <library> <30m|2h|1d>` / `unmute <library>` — pause notifications (admins only)'
+].join('\n');
+
+function ephemeral(text, blocks) {
+  return { response_type: 'ephemeral', text, ...(blocks ? { blocks } : {}) };
+}
+
+function slackDate(ms) {
+  return `<!date^${Math.floor(ms / 1000)}^{date_short_pretty} {time}|${new Date(ms).toISOString()}>`;
+}
+
+async function listCommand(args) {
+  let messages = await getSentMessages();
+
+  if (args) {
+    const match = findLibrary(args);
+    if (!match) {
+      return ephemeral(`⚠️ No library matches \`${args}\``);
+    }
+    messages = messages.filter(msg => msg.fileKey === match.fileKey);
+  }
+
+  messages = messages.sort((a, b) => b.sentAt - a.sentAt).slice(0, LIST_LIMIT);
+  if (messages.length === 0) {
+    return ephemeral('No notifications sent in the last 24 hours.');
+  }
+
+  const lines = messages.map(msg => {
+    const libraryName = LIBRARY_CONFIG[msg.fileKey]?.name || msg.fileKey || 'Digest';
+    const commitType = msg.commitType ? describeCommitType(msg.commitType) : null;
+    const label = commitType ? `${commitType.emoji} ${commitType.label}` : msg.eventType;
+    const target = msg.scope ? ` (${msg.scope})` : msg.components?.length ? ` ${msg.components.join(', ')}` : '';
+    const channels = messagePosts(msg)
+      .map(post => post.scheduledMessageId && !post.timestamp ? `${post.channel} (scheduled ${slackDate(post.postAt)})` : post.channel)
+      .join(', ');
+    return `• ${slackDate(msg.sentAt)} *${libraryName}* ${label}${target} → ${channels} \`${msg.requestId}\``;
+  });
+
+  return ephemeral(`*Recent notifications*\n${lines.join('\n')}`);
+}
+
+async function statusCommand() {
+  const lines = [];
+
+  for (const [fileKey, library] of Object.entries(LIBRARY_CONFIG)) {
+    const mute = await getLibraryMute(fileKey);
+    const rules = [
+      `always: ${(library.rules.alwaysNotify || []).join(', ') || '—'}`,
+      `never: ${(library.rules.neverNotify || []).join(', ') || '—'}`,
+      `delivery: ${library.delivery || 'immediate'}`
+    ];
+    const version = await getLibraryVersion(fileKey, library);
+    lines.push(`*${library.name}* v${version} (\`${fileKey}\`) → ${library.channel}${mute ? ` 🔇 muted until ${slackDate(mute.until)}` : ''}`);
+    lines.push(`    ${rules.join(' • ')}`);
+  }
+
+  return ephemeral(`*Configured libraries*\n${lines.join('\n')}`);
+}
+
+async function testCommand(args, user) {
+  // "test <library> | <description>" or "test <description>" against the first library
+  let match = { fileKey: Object.keys(LIBRARY_CONFIG)[0], library: Object.values(LIBRARY_CONFIG)[0] };
+  let description = args;
+
+  const pipeIndex = args.indexOf('|');
+  if (pipeIndex !== -1) {
+    match = findLibrary(args.slice(0, pipeIndex));
+    description = args.slice(pipeIndex + 1);
+    if (!match) {
+      return ephemeral(`⚠️ No library matches \`${args.slice(0, pipeIndex).trim()}\``);
+    }
+  }
+
+  description = description.replace(/\\n/g, '\n').trim();
+  if (!description) {
+    return ephemeral(USAGE);
+  }
+
+  const { fileKey, library } = match;
+  const parsedCommit = parseSemanticCommit(description);
+  const check = checkDigest(parsedCommit, library, shouldSendNotification(parsedCommit, library.rules, fileKey));
+  const lint = await lintDescription(description, { componentNames: await knownComponentNames(fileKey) });
+
+  if (!check.should) {
+    const lintNote = lint.problems.length > 0 ? `\n${formatLintProblems(lint)}` : '';
+    return ephemeral(`🚫 *${library.name}* would skip this publish: ${check.reason}${lintNote}`);
+  }
+  if (check.digest) {
+    return ephemeral(`📥 *${library.name}*: ${check.reason}`);
+  }
+
+  const channels = resolveChannels(library, parsedCommit);
+  const release = await previewRelease(fileKey, library, parsedCommit);
+  const { resolved } = await resolveMentions(parsedCommit.mentions);
+  const { payload } = buildSlackNotification({
+    library,
+    fileKey,
+    publishedBy: user.name,
+    publisherSlackId: user.id,
+    parsedCommit,
+    requestId: null,
+    release,
+    mentions: resolved,
+    channel: channels[0]
+  });
+
+  const header = {
+    type: 'context',
+    elements: [{ type: 'mrkdwn', text: `✅ Would post to ${channels.join(', ')} (${check.reason}). Preview:` }]
+  };
+  // Unknown [@mentions] are listed with the other description problems
+  const lintBlocks = lint.problems.length > 0
+    ? [{ type: 'section', text: { type: 'mrkdwn', text: `✏️ *Description problems*\n${formatLintProblems(lint)}` } }]
+    : [];
+  return ephemeral(payload.text, [header, ...lintBlocks, { type: 'divider' }, ...payload.blocks]);
+}
+
+async function muteCommand(args, user, unmute) {
+  if (!isSlackAdmin(user.id)) {
+    return ephemeral('⚠️ Only admins can mute or unmute libraries.');
+  }
+
+  // The duration is the last word; everything before it names the library
+  const words = args.split(/\s+/).filter(Boolean);
+  const durationText = unmute ? null : words.pop();
+  const match = findLibrary(words.join(' '));
+  if (!match) {
+    return ephemeral(`⚠️ No library matches \`${words.join(' ')}\``);
+  }
+
+  if (unmute) {
+    const removed = await unmuteLibrary(match.fileKey);
+    return ephemeral(removed ? `🔔 *${match.library.name}* unmuted.` : `*${match.library.name}* wasn't muted.`);
+  }
+
+  const duration = parseDuration(durationText);
+  if (!duration) {
+    return ephemeral('⚠️ Duration must look like `30m`, `2h` or `1d` (max 30 days).');
+  }
+
+  const until = await muteLibrary(match.fileKey, duration, user.id);
+  return ephemeral(`🔇 *${match.library.name}* muted until ${slackDate(until)}.`);
+}
+
+// "version <library>" shows the version; "version <library> 2.1.0" sets it
+async function versionCommand(args, user) {
+  const words = args.split(/\s+/).filter(Boolean);
+  const version = words.length > 1 ? normalizeVersion(words[words.length - 1]) : null;
+  const libraryQuery = (version ? words.slice(0, -1) : words).join(' ');
+  if (!libraryQuery) {
+    return ephemeral(USAGE);
+  }
+
+  const match = findLibrary(libraryQuery);
+  if (!match) {
+    return ephemeral(`⚠️ No library matches \`${libraryQuery}\``);
+  }
+
+  const current = await getLibraryVersion(match.fileKey, match.library);
+  if (!version) {
+    return ephemeral(`🏷️ *${match.library.name}* is at v${current}.`);
+  }
+  if (!isSlackAdmin(user.id)) {
+    return ephemeral('⚠️ Only admins can set library versions.');
+  }
+
+  await setLibraryVersion(match.fileKey, version, user.id);
+  return ephemeral(`🏷️ *${match.library.name}* set to v${version} (was v${current}).`);
+}
+
+// "DatePicker, Button* library:components types:feat,fix" -> components, library and type filters
+function parseSubscription(args) {
+  const libraryQuery = args.match(/\blibrary:\s*(.+?)(?=\s+types:|$)/i)?.[1];
+  const typesText = args.match(/\btypes:\s*(.+?)(?=\s+library:|$)/i)?.[1];
+  const componentsText = args.replace(/\b(library|types):.*$/i, '');
+
+  return {
+    libraryQuery,
+    types: typesText ? typesText.split(/[\s,]+/).filter(Boolean).map(type => type.toLowerCase()) : [],
+    components: componentsText.split(/[\s,]+/).filter(Boolean)
+  };
+}
+
+async function subscribeCommand(args, user) {
+  const { libraryQuery, types, components } = parseSubscription(args);
+  if (components.length === 0) {
+    return ephemeral(USAGE);
+  }
+
+  const match = libraryQuery ? findLibrary(libraryQuery) : null;
+  if (libraryQuery && !match) {
+    return ephemeral(`⚠️ No library matches \`${libraryQuery}\``);
+  }
+
+  // Aliases are stored as their type; the fallback type doesn't count as a match here
+  const resolvedTypes = types.map(type => resolveCommitType(type));
+  const unknownTypes = types.filter((type, index) => !resolvedTypes[index] || resolvedTypes[index].fallback);
+  if (unknownTypes.length > 0) {
+    return ephemeral(`⚠️ Unknown commit type(s): ${unknownTypes.join(', ')} (expected ${commitTypeNames()})`);
+  }
+
+  const subscription = await addSubscription(user.id, {
+    components,
+    fileKey: match?.fileKey || null,
+    types: [...new Set(resolvedTypes.map(resolved => resolved.type))]
+  });
+  return ephemeral(`🔔 Subscribed: ${describeSubscription(subscription)}`);
+}
+
+async function subscriptionsCommand(args, user) {
+  const subscriptions = await getSubscriptions(user.id);
+  if (subscriptions.length === 0) {
+    return ephemeral('You have no subscriptions. Add one with `/figma-updates subscribe <Component>`.');
+  }
+  return ephemeral(`*Your subscriptions*\n${subscriptions.map(sub => `• ${describeSubscription(sub)}`).join('\n')}`);
+}
+
+async function unsubscribeCommand(args, user) {
+  const id = args.replace(/^#/, '').toLowerCase();
+  if (!id) {
+    return ephemeral(USAGE);
+  }
+
+  const removed = await removeSubscription(user.id, id);
+  return ephemeral(removed > 0 ? `🔕 Removed ${removed} subscription(s).` : `⚠️ No subscription #${id}.`);
+}
+
+const COMMANDS = {
+  list: listCommand,
+  status: statusCommand,
+  test: testCommand,
+  mute: (args, user) => muteCommand(args, user, false),
+  unmute: (args, user) => muteCommand(args, user, true),
+  subscribe: subscribeCommand,
+  subscriptions: subscriptionsCommand,
+  unsubscribe: unsubscribeCommand,
+  version: versionCommand
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const auth = await verifySlackRequest(req);
+  if (!auth.ok) {
+    logger.warn('Slash command authentication failed', { code: auth.code, reason: auth.message });
+    return res.status(401).json({ error: 'Authentication failed', code: auth.code });
+  }
+
+  const text = (auth.params.get('text') || '').trim();
+  const user = { id: auth.params.get('user_id'), name: auth.params.get('user_name') };
+  const [command = ''] = text.split(/\s+/);
+  const run = COMMANDS[command.toLowerCase()];
+
+  logger.info('Slash command', { userId: user.id, command, text });
+
+  if (!run) {
+    return res.status(200).json(ephemeral(USAGE));
+  }
+
+  try {
+    const args = text.slice(command.length).trim();
+    return res.status(200).json(await run(args, user));
+  } catch (error) {
+    logger.error('Slash command failed', { command, error });
+    return res.status(200).json(ephemeral(`⚠️ Something went wrong: ${error.message}`));
+  }
+}
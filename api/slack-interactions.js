@@ -0,0 +1,143 @@
+// api/slack-interactions.js
+import { verifySlackRequest, isSlackAdmin } from '../lib/slack-auth.js';
+import { acknowledgeMessage, markMessageDevComplete, deleteMessageByRequestId, getSentMessage, ACTIONS_BLOCK_ID } from '../lib/slack.js';
+import { recordAudit } from '../lib/admin-auth.js';
+import { runInBackground } from '../lib/delivery.js';
+import { logger } from '../lib/logger.js';
+
+// Slack signs the raw form body, so it must reach verifySlackRequest unparsed
+export const config = { api: { bodyParser: false } };
+
+const NOT_TRACKED = 'Message not found in cache';
+
+// Only a publisher resolved to a Slack ID counts. Slack usernames can be changed by their owners,
+// so they're never compared with the Figma handle.
+function isPublisher(messageData, user) {
+  return !!messageData.publisherSlackId && messageData.publisherSlackId === user.id;
+}
+
+async function undoNotification(requestId, user) {
+  const messageData = await getSentMessage(requestId);
+  if (!messageData) {
+    return { success: false, reason: NOT_TRACKED };
+  }
+
+  const actor = { name: `slack:${user.id}` };
+  if (!isPublisher(messageData, user) && !isSlackAdmin(user.id)) {
+    await recordAudit(actor, 'delete-denied', { requestId, fileKey: messageData.fileKey, reason: 'Not the publisher or an admin' });
+    return { success: false, reason: 'Only the publisher or an admin can undo this notification' };
+  }
+
+  const result = await deleteMessageByRequestId(requestId);
+  await recordAudit(actor, result.success ? 'delete' : 'delete-failed', {
+    requestId,
+    channel: messageData.channel,
+    timestamp: messageData.timestamp,
+    fileKey: messageData.fileKey,
+    reason: result.reason,
+    via: 'undo button'
+  });
+  return result;
+}
+
+const ACTIONS = {
+  acknowledge: (requestId, user) => acknowledgeMessage(requestId, user.id),
+  mark_dev_complete: requestId => markMessageDevComplete(requestId),
+  undo: undoNotification
+};
+
+// Tell the clicking user what happened without posting to the channel
+async function respondEphemeral(responseUrl, text) {
+  if (!responseUrl) {
+    return;
+  }
+  try {
+    await fetch(responseUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ response_type: 'ephemeral', replace_original: false, text })
+    });
+  } catch (error) {
+    logger.error('Error responding to Slack interaction', { error });
+  }
+}
+
+// Take the buttons off a message whose record has expired or been deleted, so they can't
+// be clicked again for nothing
+async function removeButtons(responseUrl, message) {
+  if (!responseUrl || !message?.blocks) {
+    return;
+  }
+  try {
+    await fetch(responseUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        replace_original: true,
+        text: message.text,
+        blocks: message.blocks.filter(block => block.block_id !== ACTIONS_BLOCK_ID)
+      })
+    });
+  } catch (error) {
+    logger.error('Error removing buttons from Slack message', { error });
+  }
+}
+
+// Run the clicked actions once Slack has its acknowledgement
+async function runActions(user, actions, responseUrl, message) {
+  for (const action of actions) {
+    const run = ACTIONS[action.action_id];
+    if (!run) {
+      logger.info('Ignored unknown Slack action', { action: action.action_id });
+      continue;
+    }
+
+    try {
+      const result = await run(action.value, user);
+      logger.info('Slack action', { userId: user.id, action: action.action_id, requestId: action.value, reason: result.reason });
+
+      if (result.reason === NOT_TRACKED) {
+        await removeButtons(responseUrl, message);
+        await respondEphemeral(responseUrl, '⚠️ This notification is no longer tracked, so its buttons have been removed.');
+        return;
+      }
+      if (!result.success || action.action_id === 'undo') {
+        await respondEphemeral(responseUrl, result.success ? '↩️ Notification deleted.' : `⚠️ ${result.reason}`);
+      }
+    } catch (error) {
+      logger.error('Slack action failed', { userId: user.id, action: action.action_id, requestId: action.value, error });
+      await respondEphemeral(responseUrl, `⚠️ ${error.message}`);
+    }
+  }
+}
+
+export default async function handler(req, res) {
+  const startTime = Date.now();
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const auth = await verifySlackRequest(req);
+  if (!auth.ok) {
+    logger.warn('Slack interaction authentication failed', { code: auth.code, reason: auth.message });
+    return res.status(401).json({ error: 'Authentication failed', code: auth.code });
+  }
+
+  try {
+    const payload = JSON.parse(auth.params.get('payload') || '{}');
+    if (payload.type !== 'block_actions') {
+      return res.status(200).json({ ok: true });
+    }
+
+    // Slack needs an answer within 3 seconds, so the actions run after it's sent
+    const { user, actions = [], response_url, message } = payload;
+    runInBackground(runActions(user, actions, response_url, message));
+
+    return res.status(200).json({ ok: true });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    logger.error('Slack interaction failed', { error, durationMs: processingTime });
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+}
@@ -0,0 +1,88 @@
+// lib/admin-auth.js
+import crypto from 'crypto';
+import { safeCompare } from './webhook-auth.js';
+import { getStore } from './storage.js';
+import { logger } from './logger.js';
+
+// Admin tokens for the management endpoints come from ADMIN_TOKENS, a JSON array:
+//   [{ "name": "greg", "token": "...", "scopes": ["read", "delete"], "fileKeys": ["S2aPy6..."] }]
+// 'delete' and 'replay' (re-send dead letters) imply 'read'. Omit fileKeys to allow every library.
+const SCOPES = ['read', 'delete', 'replay'];
+const AUDIT_RETENTION = 90 * 24 * 60 * 60 * 1000; // 90 days
+
+function loadAdminTokens() {
+  if (!process.env.ADMIN_TOKENS) {
+    return [];
+  }
+
+  const tokens = JSON.parse(process.env.ADMIN_TOKENS);
+  if (!Array.isArray(tokens)) {
+    throw new Error('ADMIN_TOKENS must be a JSON array');
+  }
+
+  for (const [index, entry] of tokens.entries()) {
+    if (!entry.name || !entry.token) {
+      throw new Error(`ADMIN_TOKENS[${index}] needs a name and a token`);
+    }
+    const unknownScopes = (entry.scopes || []).filter(scope => !SCOPES.includes(scope));
+    if (unknownScopes.length > 0) {
+      throw new Error(`ADMIN_TOKENS[${index}] has unknown scopes: ${unknownScopes.join(', ')}`);
+    }
+  }
+
+  return tokens;
+}
+
+const ADMIN_TOKENS = loadAdminTokens();
+
+function hasScope(admin, scope) {
+  const scopes = admin.scopes || [];
+  return scopes.includes(scope) || (scope === 'read' && (scopes.includes('delete') || scopes.includes('replay')));
+}
+
+// Authenticate a "Authorization: Bearer <token>" header and check it carries the scope.
+// Returns { ok: true, admin } or { ok: false, status, error }.
+export function authenticateAdmin(req, scope) {
+  const header = req.headers?.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+
+  if (!match) {
+    return { ok: false, status: 401, error: 'Missing bearer token' };
+  }
+
+  // Compare against every token so the response time doesn't reveal which one matched
+  let admin = null;
+  for (const entry of ADMIN_TOKENS) {
+    if (safeCompare(match[1].trim(), entry.token)) {
+      admin = entry;
+    }
+  }
+
+  if (!admin) {
+    return { ok: false, status: 401, error: 'Invalid token' };
+  }
+  if (!hasScope(admin, scope)) {
+    return { ok: false, status: 403, error: `Token '${admin.name}' lacks the '${scope}' scope` };
+  }
+
+  return { ok: true, admin };
+}
+
+export function canAccessFile(admin, fileKey) {
+  return !admin.fileKeys || admin.fileKeys.includes(fileKey);
+}
+
+// Record who deleted or replayed what. Kept in the store and echoed to the logs.
+export async function recordAudit(admin, action, details) {
+  const entry = {
+    at: new Date().toISOString(),
+    actor: admin.name,
+    action,
+    ...details
+  };
+
+  const key = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  await getStore().set('auditLog', key, entry, AUDIT_RETENTION);
+  logger.info('Audit', { admin: admin.name, action, details });
+  return entry;
+}
@@ -0,0 +1,148 @@
+// lib/changelog.js
+import { describeCommitType } from './commit-types.js';
+
+// Renderers for publish history entries (lib/history.js). Each takes the entries
+// (newest first) and { title, link } and returns the document as a string.
+const FEED_ID = 'urn:figma-slackbot:changelog';
+
+function figmaFileUrl(fileKey) {
+  return `https://www.figma.com/file/${fileKey}`;
+}
+
+const NOTE_LABELS = { breaking: 'BREAKING CHANGE', migration: 'Migration' };
+
+function entryTarget(entry) {
+  if (entry.scope) {
+    return entry.scope;
+  }
+  return entry.components.length > 0 ? entry.components.join(', ') : null;
+}
+
+function entryTitle(entry) {
+  const commitType = describeCommitType(entry.type);
+  const target = entryTarget(entry);
+  return `${commitType.emoji} ${commitType.label}${target ? ` (${target})` : ''}: ${entry.message}`;
+}
+
+function entryDetails(entry) {
+  const lines = entry.bulletPoints.length > 0 ? entry.bulletPoints.map(point => `• ${point}`) : [entry.message];
+  lines.push(...(entry.notes || []).map(note => `${NOTE_LABELS[note.kind]}: ${note.text}`));
+  const version = entry.version ? ` v${entry.version}` : '';
+  lines.push(`Published by ${entry.publishedBy} in ${entry.libraryName}${version}${entry.isDevComplete ? ' (dev complete)' : ''}`);
+  return lines.join('\n');
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function isoDate(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+// # Title / ## Library / ### 2026-10-19 / - entries with nested bullet points
+function renderMarkdown(entries, { title }) {
+  const lines = [`# ${title}`, ''];
+
+  if (entries.length === 0) {
+    lines.push('_No publishes match these filters._', '');
+  }
+
+  for (const [libraryName, libraryEntries] of Map.groupBy(entries, entry => entry.libraryName)) {
+    lines.push(`## ${libraryName}`, '');
+
+    for (const [date, dayEntries] of Map.groupBy(libraryEntries, entry => isoDate(entry.publishedAt))) {
+      lines.push(`### ${date}`, '');
+
+      for (const entry of dayEntries) {
+        const commitType = describeCommitType(entry.type);
+        const target = entryTarget(entry);
+        const status = entry.isDevComplete ? ' 🟢 dev complete' : '';
+        const version = entry.version ? ` v${entry.version}` : '';
+        lines.push(`- ${commitType.emoji} **${commitType.label}**${target ? ` \`${target}\`` : ''}: ${entry.message} _(${entry.publishedBy}${version})_${status}`);
+        lines.push(...entry.bulletPoints.slice(entry.message === entry.bulletPoints[0] ? 1 : 0).map(point => `  - ${point}`));
+        lines.push(...(entry.notes || []).map(note => `  - **${NOTE_LABELS[note.kind]}:** ${note.text.replace(/\n/g, ' ')}`));
+      }
+      lines.push('');
+    }
+  }
+
+  return lines.join('\n');
+}
+
+function renderJson(entries, { title }) {
+  return JSON.stringify({
+    title,
+    generatedAt: new Date().toISOString(),
+    count: entries.length,
+    entries: entries.map(entry => ({
+      ...entry,
+      url: figmaFileUrl(entry.fileKey),
+      publishedAt: new Date(entry.publishedAt).toISOString()
+    }))
+  }, null, 2);
+}
+
+function renderRss(entries, { title, link }) {
+  const items = entries.map(entry => [
+    '    <item>',
+    `      <title>${escapeXml(entryTitle(entry))}</title>`,
+    `      <link>${escapeXml(figmaFileUrl(entry.fileKey))}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(entry.requestId)}</guid>`,
+    `      <pubDate>${new Date(entry.publishedAt).toUTCString()}</pubDate>`,
+    `      <category>${escapeXml(entry.type)}</category>`,
+    `      <description>${escapeXml(entryDetails(entry))}</description>`,
+    '    </item>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0">',
+    '  <channel>',
+    `    <title>${escapeXml(title)}</title>`,
+    `    <link>${escapeXml(link)}</link>`,
+    `    <description>${escapeXml(title)}</description>`,
+    `    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>'
+  ].join('\n');
+}
+
+function renderAtom(entries, { title, link }) {
+  const updated = new Date(entries[0]?.publishedAt || Date.now()).toISOString();
+  const items = entries.map(entry => [
+    '  <entry>',
+    `    <id>${FEED_ID}:${escapeXml(entry.requestId)}</id>`,
+    `    <title>${escapeXml(entryTitle(entry))}</title>`,
+    `    <link href="${escapeXml(figmaFileUrl(entry.fileKey))}"/>`,
+    `    <updated>${new Date(entry.publishedAt).toISOString()}</updated>`,
+    `    <author><name>${escapeXml(entry.publishedBy)}</name></author>`,
+    `    <category term="${escapeXml(entry.type)}"/>`,
+    `    <content type="text">${escapeXml(entryDetails(entry))}</content>`,
+    '  </entry>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${FEED_ID}</id>`,
+    `  <title>${escapeXml(title)}</title>`,
+    `  <link rel="self" href="${escapeXml(link)}"/>`,
+    `  <updated>${updated}</updated>`,
+    ...items,
+    '</feed>'
+  ].join('\n');
+}
+
+export const CHANGELOG_FORMATS = {
+  markdown: { contentType: 'text/markdown; charset=utf-8', render: renderMarkdown },
+  json: { contentType: 'application/json; charset=utf-8', render: renderJson },
+  rss: { contentType: 'application/rss+xml; charset=utf-8', render: renderRss },
+  atom: { contentType: 'application/atom+xml; charset=utf-8', render: renderAtom }
+};
@@ -0,0 +1,59 @@
+// lib/commit-types.js
+import { COMMIT_TYPES, COMMIT_TYPE_FALLBACK } from './config.js';
+
+// Commit-type registry built from `commitTypes` in the config. Each type has an emoji,
+// label, default notify, and optionally a priority, aliases, an attachment color and
+// a Slack title template. Descriptions may use the type name or any of its aliases;
+// unknown types map to `commitTypeFallback` when one is configured.
+
+const TYPE_NAMES = new Map(Object.entries(COMMIT_TYPES).flatMap(([type, definition]) => [
+  [type, type],
+  ...(definition.aliases || []).map(alias => [alias.toLowerCase(), type])
+]));
+
+// Type name or alias -> { type, commitType }. Unknown names get the fallback type
+// (with fallback: true) if one is configured, otherwise null.
+export function resolveCommitType(name) {
+  const type = TYPE_NAMES.get(String(name || '').toLowerCase());
+  if (type) {
+    return { type, commitType: COMMIT_TYPES[type], fallback: false };
+  }
+  if (COMMIT_TYPE_FALLBACK) {
+    return { type: COMMIT_TYPE_FALLBACK, commitType: COMMIT_TYPES[COMMIT_TYPE_FALLBACK], fallback: true };
+  }
+  return null;
+}
+
+// Display info for a stored type, including ones removed from the config since
+export function describeCommitType(type) {
+  return COMMIT_TYPES[type] || { emoji: '•', label: type, notify: false };
+}
+
+// Every type name and alias a description may start with
+export function commitTypeWords() {
+  return [...TYPE_NAMES.keys()];
+}
+
+// "feat (feature), fix (bugfix), ..." for error messages and help text
+export function commitTypeNames() {
+  return Object.entries(COMMIT_TYPES)
+    .map(([type, definition]) => definition.aliases?.length ? `${type} (${definition.aliases.join(', ')})` : type)
+    .join(', ');
+}
+
+// Fill a type's `template` ("*{emoji} Deprecated: {target}*") from a parsed commit.
+// Placeholders are checked when the config loads (see TEMPLATE_PLACEHOLDERS in lib/config.js).
+export function renderTypeTemplate(template, { parsedCommit, library }) {
+  const { type, scope, components = [], message, commitType } = parsedCommit;
+  const values = {
+    emoji: commitType.emoji,
+    label: commitType.label,
+    type,
+    scope: scope || '',
+    components: components.join(', '),
+    target: scope || components.join(', '),
+    message,
+    library: library.name
+  };
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => values[name] ?? placeholder);
+}
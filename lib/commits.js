@@ -0,0 +1,304 @@
+// lib/commits.js
+import { resolveCommitType, commitTypeNames } from './commit-types.js';
+import { extractTickets } from './tickets.js';
+import { logger } from './logger.js';
+
+// First line of a description: type(scope)!: rest
+export const SEMANTIC_REGEX = /^([a-z][a-z0-9-]*)(\([^)]+\))?(!)?:\s*(.+)$/i;
+// "Button, IconButton" after the colon is a component list rather than a message
+export const COMPONENT_LIST_REGEX = /^[A-Z][a-zA-Z0-9]*(?:\s*,\s*[A-Z][a-zA-Z0-9]*)*$/;
+// [flags] understood anywhere in a description, besides [@mentions]
+export const DESCRIPTION_FLAGS = ['priority', 'dev-complete'];
+
+// Footer sections highlighted under the message: "BREAKING CHANGE: ..." and "Migration: ..."
+const NOTE_REGEX = /^(BREAKING[ -]CHANGES?|Migration)\s*:\s*(.*)$/i;
+const BULLET_REGEX = /^(\s*)[-•◦]\s*(.*)$/;
+const MAX_BULLET_DEPTH = 3;
+const PRIORITY_ORDER = ['normal', 'high', 'critical'];
+
+// Split the lines after the first into the first section's body, further `type:` sections
+// (only configured types and aliases, so "Note: ..." stays text) and footer notes
+function splitDescriptionBody(lines) {
+  const body = [];
+  const sections = [];
+  const notes = [];
+  let current = body;
+  
+  for (const line of lines) {
+    const note = line.trim().match(NOTE_REGEX);
+    if (note) {
+      const kind = note[1].toLowerCase() === 'migration' ? 'migration' : 'breaking';
+      notes.push({ kind, lines: note[2].trim() ? [note[2].trim()] : [] });
+      current = notes.at(-1).lines;
+      continue;
+    }
+    
+    const header = !/^\s/.test(line) && line.match(SEMANTIC_REGEX);
+    const resolved = header && resolveCommitType(header[1]);
+    if (resolved && !resolved.fallback) {
+      sections.push({ header, lines: [] });
+      current = sections.at(-1).lines;
+      continue;
+    }
+    
+    current.push(line);
+  }
+  
+  return {
+    body,
+    sections,
+    notes: notes.map(({ kind, lines: noteLines }) => ({ kind, text: noteLines.map(line => line.trim()).filter(Boolean).join('\n') }))
+  };
+}
+
+// "- item" and indented "  - nested item" lines -> [{ text, depth }]
+function parseBullets(lines) {
+  return lines
+    .map(line => line.match(BULLET_REGEX))
+    .filter(match => match && match[2].trim())
+    .map(([, indent, text]) => ({
+      text: text.trim(),
+      depth: Math.min(Math.floor(indent.replace(/\t/g, '  ').length / 2), MAX_BULLET_DEPTH)
+    }));
+}
+
+// One `type(scope): ...` heading and the lines under it
+function parseSection([, typeName, scope, forceFlag, afterColon], lines, { type, commitType }) {
+  const bullets = parseBullets(lines);
+  let components = [];
+  let message = afterColon.trim();
+  
+  // Check if afterColon looks like a component list (comma-separated, no sentence structure)
+  const isComponentList = COMPONENT_LIST_REGEX.test(message);
+  if (isComponentList) {
+    components = message.split(',').map(c => c.trim()).filter(c => c);
+    
+    // Create a summary message
+    message = bullets.length > 0 ? bullets[0].text : `Updated ${components.join(', ')}`;
+  }
+  
+  return {
+    type,
+    rawType: typeName.toLowerCase(),
+    scope: scope ? scope.slice(1, -1) : null, // Remove parentheses
+    components,
+    bullets,
+    isComponentList,
+    isForced: !!forceFlag,
+    message,
+    commitType
+  };
+}
+
+function highestPriority(priorities) {
+  return priorities.reduce((highest, priority) => PRIORITY_ORDER.indexOf(priority) > PRIORITY_ORDER.indexOf(highest) ? priority : highest, 'normal');
+}
+
+export function parseSemanticCommit(description) {
+  // Enhanced regex to match multiple formats:
+  // 1. type(scope): description
+  // 2. type: Component1, Component2, Component3
+  //    - bullet point 1
+  //      - nested bullet point
+  //    - bullet point 2
+  // 3. type: description
+  // 4. breaking!: description
+  // Later lines can start more sections of other types ("fix: Input"), and end with
+  // "BREAKING CHANGE: ..." or "Migration: ..." notes. The top-level fields describe the
+  // first section; `sections` lists all of them.
+  // The type can be any configured type or alias (lib/commit-types.js)
+  
+  const lines = description.trim().split('\n');
+  const firstLine = lines[0].trim();
+  
+  // Match the first line for type and components/scope
+  const match = firstLine.match(SEMANTIC_REGEX);
+  
+  if (!match) {
+    logger.debug('Description is not a semantic commit', { firstLine });
+    return {
+      isValid: false,
+      raw: description,
+      reason: 'Not a valid semantic commit format'
+    };
+  }
+  
+  const typeName = match[1];
+  const resolvedType = resolveCommitType(typeName);
+  
+  if (!resolvedType) {
+    const reason = `Unknown commit type '${typeName}' (expected ${commitTypeNames()})`;
+    logger.debug('Unknown commit type', { typeName });
+    return {
+      isValid: false,
+      raw: description,
+      reason
+    };
+  }
+  
+  const { type, commitType } = resolvedType;
+  if (resolvedType.fallback) {
+    logger.info('Unknown commit type, using fallback', { typeName, type });
+  }
+  
+  const { body, sections: extraSections, notes } = splitDescriptionBody(lines.slice(1));
+  const first = parseSection(match, body, resolvedType);
+  const sections = [first, ...extraSections.map(section => parseSection(section.header, section.lines, resolveCommitType(section.header[1])))];
+  
+  // Check if priority flag is set anywhere in the description (requires brackets)
+  const hasPriorityFlag = /\[priority\]/i.test(description);
+  
+  // Check if development is complete
+  const isDevComplete = /\[dev-complete\]/i.test(description);
+  
+  // Parse mentions (e.g., [@designers], [@developers], [@everyone])
+  const mentionMatches = description.match(/\[@([^\]]+)\]/g);
+  const mentions = mentionMatches ? mentionMatches.map(match => match.slice(2, -1).toLowerCase()) : [];
+  
+  // A `breaking` section or a BREAKING CHANGE note makes the whole publish breaking, whatever the first type
+  const isBreaking = sections.some(section => section.type === 'breaking') || notes.some(note => note.kind === 'breaking');
+  
+  // Keep priority for message formatting only. The highest priority of the section types (breaking
+  // is critical) wins over the flag, and a BREAKING CHANGE note makes any publish critical.
+  let priority = highestPriority(sections.map(section => section.commitType.priority || 'normal'));
+  if (isBreaking) {
+    priority = 'critical';
+  }
+  if (hasPriorityFlag && priority === 'normal') {
+    priority = 'high';
+  }
+
+  return {
+    isValid: true,
+    type,
+    rawType: first.rawType,
+    scope: first.scope,
+    components: first.components,
+    // As before, the first section's bullets only count under a component list
+    bulletPoints: first.isComponentList ? first.bullets.map(bullet => bullet.text) : [],
+    bullets: first.isComponentList ? first.bullets : [],
+    isForced: first.isForced,
+    isBreaking,
+    priority: priority,
+    isDevComplete: isDevComplete,
+    mentions: mentions,
+    message: first.message,
+    sections,
+    notes,
+    tickets: extractTickets(description),
+    raw: description,
+    commitType
+  };
+}
+
+// Skips also carry a short `code` (invalid_description, never_notify, type_default_off) for metrics
+export function shouldSendNotification(parsedCommit, rules, fileKey) {
+  // If not a valid semantic commit, skip
+  if (!parsedCommit.isValid) {
+    return {
+      should: false,
+      code: 'invalid_description',
+      reason: parsedCommit.reason
+    };
+  }
+  
+  const { type, isForced, isBreaking, commitType } = parsedCommit;
+  
+  // Force flag (!) always sends notification
+  if (isForced) {
+    return {
+      should: true,
+      reason: `Forced notification with ! flag`
+    };
+  }
+  
+  // Breaking changes are always announced, even under a type the library never notifies about
+  if (isBreaking) {
+    return {
+      should: true,
+      reason: 'Breaking change'
+    };
+  }
+  
+  // Check if type is in neverNotify list
+  if (rules.neverNotify?.includes(type)) {
+    return {
+      should: false,
+      code: 'never_notify',
+      reason: `Type '${type}' is in never notify list`
+    };
+  }
+  
+  // Check if type is in alwaysNotify list
+  if (rules.alwaysNotify?.includes(type)) {
+    return {
+      should: true,
+      reason: `Type '${type}' is in always notify list`
+    };
+  }
+  
+  // Default behavior based on commit type configuration
+  if (!commitType.notify) {
+    return {
+      should: false,
+      code: 'type_default_off',
+      reason: `Type '${type}' is configured to not notify by default`
+    };
+  }
+  
+  return {
+    should: true,
+    reason: `Type '${type}' meets notification criteria`
+  };
+}
+
+// Asset groups Figma reports on LIBRARY_PUBLISH, each as created_/modified_/deleted_ lists of { key, name }
+const CHANGE_GROUPS = ['components', 'styles', 'variables'];
+const CHANGE_KINDS = ['created', 'modified', 'deleted'];
+
+export function extractLibraryChanges(body) {
+  const changes = {};
+  let total = 0;
+  
+  for (const group of CHANGE_GROUPS) {
+    changes[group] = {};
+    for (const kind of CHANGE_KINDS) {
+      const items = Array.isArray(body[`${kind}_${group}`]) ? body[`${kind}_${group}`] : [];
+      changes[group][kind] = items.filter(item => item && item.name);
+      total += changes[group][kind].length;
+    }
+  }
+  
+  return total > 0 ? changes : null;
+}
+
+// Merge the publish's actual asset changes into a parsed commit
+export function applyLibraryChanges(parsedCommit, changes) {
+  if (!parsedCommit.isValid || !changes) {
+    return parsedCommit;
+  }
+  
+  const { created, modified, deleted } = changes.components;
+  let { components, priority } = parsedCommit;
+  
+  // Fall back to what actually changed when the description didn't list components
+  if (components.length === 0 && !parsedCommit.scope) {
+    const changed = modified.length > 0 ? modified : created;
+    components = changed.map(component => component.name);
+  }
+  
+  // Removing components breaks consumers, so treat it like a breaking change: critical,
+  // always announced and a major version bump
+  const isBreaking = parsedCommit.isBreaking || deleted.length > 0;
+  if (deleted.length > 0) {
+    priority = 'critical';
+  }
+  
+  return {
+    ...parsedCommit,
+    components,
+    priority,
+    isBreaking,
+    changes
+  };
+}
@@ -0,0 +1,585 @@
+// lib/config.js
+import fs from 'fs';
+import { logger } from './logger.js';
+
+// Default config shipped with the repo. Override with FIGMA_SLACKBOT_CONFIG,
+// which may hold either a path to a JSON file or the JSON contents directly.
+const DEFAULT_CONFIG_URL = new URL('../config/slackbot.json', import.meta.url);
+
+// Slack channel names (#lowercase-with-dashes) or raw channel IDs (C0123ABCD)
+const CHANNEL_REGEX = /^(#[a-z0-9][a-z0-9_-]{0,79}|[CG][A-Z0-9]{8,})$/;
+const COMMIT_TYPE_KEY_REGEX = /^[a-z][a-z0-9-]*$/;
+const PRIORITIES = ['normal', 'high', 'critical'];
+const CONFIGURABLE_EVENTS = ['FILE_VERSION_UPDATE', 'FILE_COMMENT', 'FILE_DELETE'];
+const DELIVERY_MODES = ['immediate', 'digest'];
+const DIGEST_SCHEDULES = ['daily', 'weekly'];
+const FOLLOW_UP_OPTIONS = ['thread', 'updateOriginal', 'broadcastPriority'];
+const ROUTE_CONDITIONS = ['types', 'scopes', 'components', 'priorities'];
+const DESTINATION_TYPES = ['teams', 'discord', 'webhook'];
+const SEMVER_REGEX = /^\d+\.\d+\.\d+$/;
+const VERSION_BUMPS = ['major', 'minor', 'patch', 'none'];
+// Slack attachment colors: hex or one of Slack's named colors
+const COLOR_REGEX = /^(#[0-9a-fA-F]{6}|good|warning|danger)$/;
+const TEMPLATE_PLACEHOLDERS = ['emoji', 'label', 'type', 'scope', 'components', 'target', 'message', 'library'];
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const QUIET_BREAKING_MODES = ['schedule', 'silent'];
+const LINT_OPTIONS = ['dm', 'channel'];
+const TICKET_KINDS = ['jira', 'github'];
+const JIRA_PROJECT_REGEX = /^[A-Z][A-Z0-9]+$/;
+const DEFAULT_PRIORITY_MENTION = 'designers';
+
+export class ConfigError extends Error {
+  constructor(source, errors) {
+    super(`Invalid config (${source}):\n  - ${errors.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.source = source;
+    this.errors = errors;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateCommitTypes(commitTypes, errors) {
+  if (!isPlainObject(commitTypes) || Object.keys(commitTypes).length === 0) {
+    errors.push('commitTypes must be a non-empty object');
+    return;
+  }
+
+  // Type names and aliases share one namespace so every word resolves to a single type
+  const names = new Map(Object.keys(commitTypes).map(key => [key, key]));
+
+  for (const [key, type] of Object.entries(commitTypes)) {
+    const path = `commitTypes.${key}`;
+
+    if (!COMMIT_TYPE_KEY_REGEX.test(key)) {
+      errors.push(`${path}: type names must be lowercase letters, digits or dashes`);
+    }
+    if (!isPlainObject(type)) {
+      errors.push(`${path} must be an object`);
+      continue;
+    }
+    if (typeof type.emoji !== 'string' || !type.emoji) {
+      errors.push(`${path}.emoji must be a non-empty string`);
+    }
+    if (typeof type.label !== 'string' || !type.label) {
+      errors.push(`${path}.label must be a non-empty string`);
+    }
+    if (typeof type.notify !== 'boolean') {
+      errors.push(`${path}.notify must be true or false`);
+    }
+    if (type.priority !== undefined && !PRIORITIES.includes(type.priority)) {
+      errors.push(`${path}.priority must be one of ${PRIORITIES.join(', ')}`);
+    }
+    if (type.bump !== undefined && !VERSION_BUMPS.includes(type.bump)) {
+      errors.push(`${path}.bump must be one of ${VERSION_BUMPS.join(', ')}`);
+    }
+    if (type.color !== undefined && !COLOR_REGEX.test(type.color)) {
+      errors.push(`${path}.color must be a hex color like #2eb67d or good, warning or danger`);
+    }
+    if (type.template !== undefined) {
+      validateTemplate(type.template, `${path}.template`, errors);
+    }
+    if (type.aliases !== undefined) {
+      if (!Array.isArray(type.aliases)) {
+        errors.push(`${path}.aliases must be an array`);
+        continue;
+      }
+      for (const alias of type.aliases) {
+        if (typeof alias !== 'string' || !COMMIT_TYPE_KEY_REGEX.test(alias)) {
+          errors.push(`${path}.aliases: '${alias}' must be lowercase letters, digits or dashes`);
+        } else if (names.has(alias)) {
+          errors.push(`${path}.aliases: '${alias}' is already used by ${names.get(alias)}`);
+        } else {
+          names.set(alias, key);
+        }
+      }
+    }
+  }
+}
+
+function validateTemplate(template, path, errors) {
+  if (typeof template !== 'string' || !template.trim()) {
+    errors.push(`${path} must be a non-empty string`);
+    return;
+  }
+  for (const [, name] of template.matchAll(/\{(\w+)\}/g)) {
+    if (!TEMPLATE_PLACEHOLDERS.includes(name)) {
+      errors.push(`${path}: unknown placeholder {${name}} (expected ${TEMPLATE_PLACEHOLDERS.map(placeholder => `{${placeholder}}`).join(', ')})`);
+    }
+  }
+}
+
+function validateCommitTypeFallback(fallback, knownTypes, errors) {
+  if (typeof fallback !== 'string' || !knownTypes.includes(fallback)) {
+    errors.push(`commitTypeFallback must be one of the configured commit types (${knownTypes.join(', ')})`);
+  }
+}
+
+// Links for DS-123 (jira) and #456 (github) references in descriptions (see lib/tickets.js)
+function validateTicketLinks(ticketLinks, path, errors) {
+  if (!isPlainObject(ticketLinks)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  for (const [kind, link] of Object.entries(ticketLinks)) {
+    if (!TICKET_KINDS.includes(kind)) {
+      errors.push(`${path}.${kind} is not a known tracker (expected ${TICKET_KINDS.join(', ')})`);
+      continue;
+    }
+    if (!isPlainObject(link)) {
+      errors.push(`${path}.${kind} must be an object`);
+      continue;
+    }
+    if (typeof link.url !== 'string' || !/^https?:\/\//.test(link.url) || !link.url.includes('{id}')) {
+      errors.push(`${path}.${kind}.url must be an http(s) URL containing {id}`);
+    }
+    if (link.projects !== undefined && kind !== 'jira') {
+      errors.push(`${path}.${kind}.projects only applies to jira`);
+    } else if (link.projects !== undefined && validateStringList(link.projects, `${path}.${kind}.projects`, errors)) {
+      for (const project of link.projects.filter(project => !JIRA_PROJECT_REGEX.test(project))) {
+        errors.push(`${path}.${kind}.projects: '${project}' is not a Jira project key like DS`);
+      }
+    }
+  }
+}
+
+function validateMentionGroups(mentionGroups, errors) {
+  if (!isPlainObject(mentionGroups)) {
+    errors.push('mentionGroups must be an object');
+    return;
+  }
+
+  for (const [name, mention] of Object.entries(mentionGroups)) {
+    if (name !== name.toLowerCase()) {
+      // Mentions are lowercased by the parser, so mixed-case keys never match
+      errors.push(`mentionGroups.${name}: names must be lowercase`);
+    }
+    if (typeof mention !== 'string' || !/^<[@!#][^>]+>$/.test(mention)) {
+      errors.push(`mentionGroups.${name} must be a Slack mention like <@U123> or <!subteam^S123>`);
+    }
+  }
+}
+
+// Priority publishes open with this mention group, so it has to exist (false turns it off)
+function validatePriorityMention(priorityMention, mentionGroups, errors) {
+  if (priorityMention === false) {
+    return;
+  }
+  if (typeof priorityMention !== 'string' || !isPlainObject(mentionGroups) || !Object.hasOwn(mentionGroups, priorityMention)) {
+    errors.push(`priorityMention '${priorityMention}' must be one of the mentionGroups or false`);
+  }
+}
+
+function validateTypeList(list, path, knownTypes, errors) {
+  if (list === undefined) {
+    return [];
+  }
+  if (!Array.isArray(list)) {
+    errors.push(`${path} must be an array of commit types`);
+    return [];
+  }
+
+  for (const type of list) {
+    if (!knownTypes.includes(type)) {
+      errors.push(`${path}: unknown commit type '${type}'`);
+    }
+  }
+  return list;
+}
+
+function validateRules(rules, path, knownTypes, errors) {
+  const alwaysNotify = validateTypeList(rules.alwaysNotify, `${path}.alwaysNotify`, knownTypes, errors);
+  const neverNotify = validateTypeList(rules.neverNotify, `${path}.neverNotify`, knownTypes, errors);
+
+  const overlap = alwaysNotify.filter(type => neverNotify.includes(type));
+  if (overlap.length > 0) {
+    errors.push(`${path}: ${overlap.join(', ')} listed in both alwaysNotify and neverNotify`);
+  }
+}
+
+function validateChannel(channel, path, errors) {
+  if (typeof channel !== 'string' || !CHANNEL_REGEX.test(channel)) {
+    errors.push(`${path} '${channel}' is not a valid Slack channel (expected #lowercase-name or a channel ID)`);
+  }
+}
+
+function validateStringList(list, path, errors) {
+  if (!Array.isArray(list) || list.length === 0 || list.some(item => typeof item !== 'string' || !item)) {
+    errors.push(`${path} must be a non-empty array of strings`);
+    return false;
+  }
+  return true;
+}
+
+// Extra/alternative channels for matching publishes (see lib/routing.js)
+function validateRoutes(routes, path, knownTypes, errors) {
+  if (!Array.isArray(routes)) {
+    errors.push(`${path} must be an array`);
+    return;
+  }
+
+  routes.forEach((route, index) => {
+    const routePath = `${path}[${index}]`;
+
+    if (!isPlainObject(route)) {
+      errors.push(`${routePath} must be an object`);
+      return;
+    }
+    if (!ROUTE_CONDITIONS.some(condition => route[condition] !== undefined)) {
+      errors.push(`${routePath} needs at least one condition (${ROUTE_CONDITIONS.join(', ')})`);
+    }
+    if (route.types !== undefined && validateStringList(route.types, `${routePath}.types`, errors)) {
+      validateTypeList(route.types, `${routePath}.types`, knownTypes, errors);
+    }
+    if (route.scopes !== undefined) {
+      validateStringList(route.scopes, `${routePath}.scopes`, errors);
+    }
+    if (route.components !== undefined) {
+      validateStringList(route.components, `${routePath}.components`, errors);
+    }
+    if (route.priorities !== undefined && validateStringList(route.priorities, `${routePath}.priorities`, errors)) {
+      for (const priority of route.priorities.filter(priority => !PRIORITIES.includes(priority))) {
+        errors.push(`${routePath}.priorities: unknown priority '${priority}' (expected ${PRIORITIES.join(', ')})`);
+      }
+    }
+    if (validateStringList(route.channels, `${routePath}.channels`, errors)) {
+      route.channels.forEach((channel, channelIndex) => validateChannel(channel, `${routePath}.channels[${channelIndex}]`, errors));
+    }
+    if (route.replace !== undefined && typeof route.replace !== 'boolean') {
+      errors.push(`${routePath}.replace must be true or false`);
+    }
+  });
+}
+
+// Teams/Discord/webhook sinks in addition to Slack (see lib/notifiers.js)
+function validateDestinations(destinations, path, errors) {
+  if (!Array.isArray(destinations)) {
+    errors.push(`${path} must be an array`);
+    return;
+  }
+
+  destinations.forEach((destination, index) => {
+    const destinationPath = `${path}[${index}]`;
+
+    if (!isPlainObject(destination)) {
+      errors.push(`${destinationPath} must be an object`);
+      return;
+    }
+    if (!DESTINATION_TYPES.includes(destination.type)) {
+      errors.push(`${destinationPath}.type must be one of ${DESTINATION_TYPES.join(', ')}`);
+    }
+    if ((destination.url === undefined) === (destination.urlEnv === undefined)) {
+      errors.push(`${destinationPath} needs exactly one of url or urlEnv`);
+    }
+    if (destination.url !== undefined && (typeof destination.url !== 'string' || !destination.url.startsWith('https://'))) {
+      errors.push(`${destinationPath}.url must be an https:// URL`);
+    }
+    if (destination.urlEnv !== undefined && (typeof destination.urlEnv !== 'string' || !/^[A-Z][A-Z0-9_]*$/.test(destination.urlEnv))) {
+      errors.push(`${destinationPath}.urlEnv must be an environment variable name like TEAMS_WEBHOOK_URL`);
+    }
+  });
+}
+
+// Per-library settings for non-publish webhook events (see lib/events.js)
+function validateEvents(events, path, knownTypes, errors) {
+  if (!isPlainObject(events)) {
+    errors.push(`${path} must be an object keyed by event type`);
+    return;
+  }
+
+  for (const [eventType, settings] of Object.entries(events)) {
+    const eventPath = `${path}.${eventType}`;
+
+    if (!CONFIGURABLE_EVENTS.includes(eventType)) {
+      errors.push(`${eventPath}: unknown event type (expected one of ${CONFIGURABLE_EVENTS.join(', ')})`);
+      continue;
+    }
+    if (!isPlainObject(settings)) {
+      errors.push(`${eventPath} must be an object`);
+      continue;
+    }
+    if (typeof settings.enabled !== 'boolean') {
+      errors.push(`${eventPath}.enabled must be true or false`);
+    }
+    if (settings.channel !== undefined) {
+      validateChannel(settings.channel, `${eventPath}.channel`, errors);
+    }
+    if (settings.rules !== undefined) {
+      if (eventType !== 'FILE_VERSION_UPDATE' || !isPlainObject(settings.rules)) {
+        errors.push(`${eventPath}.rules is only supported as an object on FILE_VERSION_UPDATE`);
+      } else {
+        validateRules(settings.rules, `${eventPath}.rules`, knownTypes, errors);
+      }
+    }
+    if (settings.mentions !== undefined) {
+      if (eventType !== 'FILE_COMMENT' || !Array.isArray(settings.mentions)) {
+        errors.push(`${eventPath}.mentions is only supported as an array on FILE_COMMENT`);
+      } else if (settings.mentions.some(mention => typeof mention !== 'string' || mention !== mention.toLowerCase())) {
+        errors.push(`${eventPath}.mentions must be lowercase mention names like 'designers'`);
+      }
+    }
+  }
+}
+
+// Digest batching settings (see lib/digest.js)
+function validateDigest(digest, path, knownTypes, errors) {
+  if (!isPlainObject(digest)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  const types = validateTypeList(digest.types, `${path}.types`, knownTypes, errors);
+  if (types.includes('breaking')) {
+    errors.push(`${path}.types: breaking changes always bypass the digest`);
+  }
+  if (digest.schedule !== undefined && !DIGEST_SCHEDULES.includes(digest.schedule)) {
+    errors.push(`${path}.schedule must be one of ${DIGEST_SCHEDULES.join(', ')}`);
+  }
+  if (digest.channel !== undefined) {
+    validateChannel(digest.channel, `${path}.channel`, errors);
+  }
+}
+
+// Threading/update-in-place settings for follow-up publishes (see lib/slack.js)
+function validateFollowUps(followUps, path, errors) {
+  if (!isPlainObject(followUps)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  for (const [key, value] of Object.entries(followUps)) {
+    if (!FOLLOW_UP_OPTIONS.includes(key)) {
+      errors.push(`${path}.${key} is not a known option (expected ${FOLLOW_UP_OPTIONS.join(', ')})`);
+    } else if (typeof value !== 'boolean') {
+      errors.push(`${path}.${key} must be true or false`);
+    }
+  }
+}
+
+// Starting version and major-release milestone posts (see lib/versions.js)
+function validateVersioning(versioning, path, errors) {
+  if (!isPlainObject(versioning)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  if (versioning.initial !== undefined && !SEMVER_REGEX.test(versioning.initial)) {
+    errors.push(`${path}.initial must be a version like 1.0.0`);
+  }
+  if (versioning.milestones !== undefined && typeof versioning.milestones !== 'boolean') {
+    errors.push(`${path}.milestones must be true or false`);
+  }
+}
+
+function isTimeZone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Quiet hours, scheduled posting and per-channel overrides (see lib/quiet-hours.js)
+function validateQuietHours(quietHours, path, errors, { isOverride = false } = {}) {
+  if (!isPlainObject(quietHours)) {
+    errors.push(`${path} must be an object${isOverride ? ' or false' : ''}`);
+    return;
+  }
+  if ((!isOverride || quietHours.timezone !== undefined) && (typeof quietHours.timezone !== 'string' || !isTimeZone(quietHours.timezone))) {
+    errors.push(`${path}.timezone must be an IANA time zone like Europe/Berlin`);
+  }
+  for (const key of ['start', 'end']) {
+    if (quietHours[key] !== undefined && !TIME_REGEX.test(quietHours[key])) {
+      errors.push(`${path}.${key} must be a 24-hour time like 19:00`);
+    }
+  }
+  if (!isOverride && (quietHours.start === undefined) !== (quietHours.end === undefined)) {
+    errors.push(`${path} needs both start and end (or neither for weekends/holidays only)`);
+  }
+  if (quietHours.start !== undefined && quietHours.start === quietHours.end) {
+    errors.push(`${path}.start and end must differ`);
+  }
+  if (quietHours.weekends !== undefined && typeof quietHours.weekends !== 'boolean') {
+    errors.push(`${path}.weekends must be true or false`);
+  }
+  if (quietHours.holidays !== undefined && (!Array.isArray(quietHours.holidays)
+    || quietHours.holidays.some(date => typeof date !== 'string' || !DATE_REGEX.test(date) || Number.isNaN(Date.parse(date))))) {
+    errors.push(`${path}.holidays must be an array of dates like 2026-12-25`);
+  }
+  if (quietHours.breaking !== undefined && !QUIET_BREAKING_MODES.includes(quietHours.breaking)) {
+    errors.push(`${path}.breaking must be one of ${QUIET_BREAKING_MODES.join(', ')}`);
+  }
+  if (quietHours.channels === undefined) {
+    return;
+  }
+  if (isOverride || !isPlainObject(quietHours.channels)) {
+    errors.push(`${path}.channels ${isOverride ? 'cannot be nested' : 'must be an object keyed by channel'}`);
+    return;
+  }
+  for (const [channel, override] of Object.entries(quietHours.channels)) {
+    validateChannel(channel, `${path}.channels`, errors);
+    if (override !== false) {
+      validateQuietHours(override, `${path}.channels.${channel}`, errors, { isOverride: true });
+    }
+  }
+}
+
+// Where description lint feedback goes (see lib/lint.js)
+function validateLint(lint, path, errors) {
+  if (lint === false) {
+    return;
+  }
+  if (!isPlainObject(lint)) {
+    errors.push(`${path} must be an object or false`);
+    return;
+  }
+  for (const key of Object.keys(lint).filter(key => !LINT_OPTIONS.includes(key))) {
+    errors.push(`${path}.${key} is not a known option (expected ${LINT_OPTIONS.join(', ')})`);
+  }
+  if (lint.dm !== undefined && typeof lint.dm !== 'boolean') {
+    errors.push(`${path}.dm must be true or false`);
+  }
+  if (lint.channel !== undefined) {
+    validateChannel(lint.channel, `${path}.channel`, errors);
+  }
+  if (lint.dm === false && lint.channel === undefined) {
+    errors.push(`${path} needs a channel when dm is false (or use "lint": false)`);
+  }
+}
+
+function validateLibrary(fileKey, library, knownTypes, errors) {
+  const path = `libraries.${fileKey}`;
+
+  if (!isPlainObject(library)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  if (typeof library.name !== 'string' || !library.name.trim()) {
+    errors.push(`${path}.name must be a non-empty string`);
+  }
+  validateChannel(library.channel, `${path}.channel`, errors);
+  if (!isPlainObject(library.rules)) {
+    errors.push(`${path}.rules must be an object`);
+  } else {
+    validateRules(library.rules, `${path}.rules`, knownTypes, errors);
+    if (library.rules.routes !== undefined) {
+      validateRoutes(library.rules.routes, `${path}.rules.routes`, knownTypes, errors);
+    }
+  }
+  if (library.events !== undefined) {
+    validateEvents(library.events, `${path}.events`, knownTypes, errors);
+  }
+  if (library.delivery !== undefined && !DELIVERY_MODES.includes(library.delivery)) {
+    errors.push(`${path}.delivery must be one of ${DELIVERY_MODES.join(', ')}`);
+  }
+  if (library.digest !== undefined) {
+    validateDigest(library.digest, `${path}.digest`, knownTypes, errors);
+  }
+  if (library.followUps !== undefined) {
+    validateFollowUps(library.followUps, `${path}.followUps`, errors);
+  }
+  if (library.destinations !== undefined) {
+    validateDestinations(library.destinations, `${path}.destinations`, errors);
+  }
+  if (library.versioning !== undefined) {
+    validateVersioning(library.versioning, `${path}.versioning`, errors);
+  }
+  if (library.quietHours !== undefined) {
+    validateQuietHours(library.quietHours, `${path}.quietHours`, errors);
+  }
+  if (library.lint !== undefined) {
+    validateLint(library.lint, `${path}.lint`, errors);
+  }
+  if (library.ticketLinks !== undefined) {
+    validateTicketLinks(library.ticketLinks, `${path}.ticketLinks`, errors);
+  }
+}
+
+export function validateConfig(config, source = 'inline') {
+  const errors = [];
+
+  if (!isPlainObject(config)) {
+    throw new ConfigError(source, ['config must be a JSON object']);
+  }
+
+  validateCommitTypes(config.commitTypes, errors);
+  validateMentionGroups(config.mentionGroups ?? {}, errors);
+  validatePriorityMention(config.priorityMention ?? DEFAULT_PRIORITY_MENTION, config.mentionGroups ?? {}, errors);
+
+  const knownTypes = isPlainObject(config.commitTypes) ? Object.keys(config.commitTypes) : [];
+  if (config.commitTypeFallback !== undefined) {
+    validateCommitTypeFallback(config.commitTypeFallback, knownTypes, errors);
+  }
+  if (config.ticketLinks !== undefined) {
+    validateTicketLinks(config.ticketLinks, 'ticketLinks', errors);
+  }
+
+  if (!isPlainObject(config.libraries)) {
+    errors.push('libraries must be an object keyed by Figma file key');
+  } else {
+    for (const [fileKey, library] of Object.entries(config.libraries)) {
+      validateLibrary(fileKey, library, knownTypes, errors);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(source, errors);
+  }
+
+  return config;
+}
+
+function readConfigSource() {
+  const override = process.env.FIGMA_SLACKBOT_CONFIG?.trim();
+
+  if (override && override.startsWith('{')) {
+    return { source: 'FIGMA_SLACKBOT_CONFIG', contents: override };
+  }
+
+  const location = override || DEFAULT_CONFIG_URL;
+  return { source: String(override || 'config/slackbot.json'), contents: fs.readFileSync(location, 'utf8') };
+}
+
+export function loadConfig() {
+  const { source, contents } = readConfigSource();
+
+  let config;
+  try {
+    config = JSON.parse(contents);
+  } catch (error) {
+    throw new ConfigError(source, [`not valid JSON: ${error.message}`]);
+  }
+
+  validateConfig(config, source);
+  logger.info('Loaded config', { source, libraries: Object.keys(config.libraries).length });
+  return config;
+}
+
+// Loaded once per cold start; a bad config throws here so the deploy fails loudly
+const config = loadConfig();
+
+export const COMMIT_TYPES = config.commitTypes;
+export const COMMIT_TYPE_FALLBACK = config.commitTypeFallback ?? null;
+export const MENTION_GROUPS = config.mentionGroups ?? {};
+export const PRIORITY_MENTION = config.priorityMention ?? DEFAULT_PRIORITY_MENTION;
+export const TICKET_LINKS = config.ticketLinks ?? {};
+export const LIBRARY_CONFIG = config.libraries;
+
+// Look up a library by file key, or by a case-insensitive (partial) name
+export function findLibrary(query) {
+  const needle = (query || '').trim().toLowerCase();
+  if (!needle) {
+    return null;
+  }
+  if (LIBRARY_CONFIG[query.trim()]) {
+    return { fileKey: query.trim(), library: LIBRARY_CONFIG[query.trim()] };
+  }
+
+  const match = Object.entries(LIBRARY_CONFIG)
+    .find(([, library]) => library.name.toLowerCase().includes(needle));
+  return match ? { fileKey: match[0], library: match[1] } : null;
+}
@@ -0,0 +1,137 @@
+// lib/delivery.js
+import { waitUntil } from '@vercel/functions';
+import { LIBRARY_CONFIG } from './config.js';
+import { getStore } from './storage.js';
+import { getEventHandler } from './events.js';
+import { logger } from './logger.js';
+import { incrementCounter, observeHistogram } from './metrics.js';
+import { resolveNotificationPeople } from './mentions.js';
+
+// Asynchronous delivery with a dead-letter store. The webhook acknowledges Figma
+// as soon as it has decided to notify, and the notification is sent afterwards.
+// Outbound calls retry with backoff (lib/retry.js); a job that still fails is kept
+// in the `deadLetters` namespace with everything needed to replay it from
+// /api/dead-letters.
+//
+// A job is { id, eventType, fileKey, parsed, context, createdAt } where context is
+// the serialisable part of the notify() context (the library is looked up again on replay).
+// When some routed channels of a publish fail and others go out, the failed ones are
+// dead-lettered as their own job (`<id>:channels`, with context.channels) that only posts to them.
+const DEAD_LETTER_RETENTION = 14 * 24 * 60 * 60 * 1000; // 14 days
+
+export function createDeliveryJob(eventType, parsed, { library, ...context }) {
+  return {
+    id: context.requestId,
+    eventType,
+    fileKey: context.fileKey,
+    parsed,
+    context,
+    createdAt: Date.now()
+  };
+}
+
+function failedChannelsJob(job, failedChannels) {
+  return {
+    ...job,
+    id: job.context.channels ? job.id : `${job.id}:channels`,
+    context: { ...job.context, channels: failedChannels.map(failure => failure.channel) }
+  };
+}
+
+// Run a job now. Never throws: failures are dead-lettered and reported in the result.
+// Publishes that only partly went out succeed with `deadLettered` set to the failed channels' job ID.
+// Mentions and the publisher (context.triggeredBy) are resolved here, and the result carries
+// `unresolvedMentions` and `publisherSlackId`.
+export async function runDeliveryJob(job) {
+  const library = LIBRARY_CONFIG[job.fileKey];
+  const eventHandler = getEventHandler(job.eventType);
+  const startTime = Date.now();
+  let result;
+
+  try {
+    if (!library) {
+      throw new Error(`No library config for ${job.fileKey}`);
+    }
+    if (!eventHandler) {
+      throw new Error(`No handler for ${job.eventType}`);
+    }
+    const { mentions, unresolved, publisherSlackId } = await resolveNotificationPeople(job.parsed?.mentions || [], job.context.triggeredBy);
+    const context = { ...job.context, mentions, publisherSlackId, library };
+    const { failedChannels = [] } = (await eventHandler.notify(job.parsed, context)) || {};
+    result = { success: true, unresolvedMentions: unresolved, publisherSlackId };
+    
+    if (failedChannels.length > 0) {
+      const channelsJob = failedChannelsJob(job, failedChannels);
+      const error = new Error(failedChannels.map(failure => `${failure.channel}: ${failure.error}`).join('; '));
+      error.code = failedChannels[0].code;
+      await deadLetter(channelsJob, error);
+      incrementCounter('figma_deliveries_total', { event_type: job.eventType, result: 'dead_lettered' });
+      result.deadLettered = channelsJob.id;
+    }
+  } catch (error) {
+    await deadLetter(job, error);
+    result = { success: false, error: error.message };
+  }
+
+  incrementCounter('figma_deliveries_total', {
+    event_type: job.eventType,
+    result: result.success ? 'delivered' : 'dead_lettered'
+  });
+  observeHistogram('figma_delivery_duration_seconds', { event_type: job.eventType }, (Date.now() - startTime) / 1000);
+  return result;
+}
+
+async function deadLetter(job, error) {
+  const store = getStore();
+  const previous = await store.get('deadLetters', job.id);
+
+  await store.set('deadLetters', job.id, {
+    job,
+    error: error.message,
+    code: error.data?.error || error.code || null,
+    attempts: error.attempts || 1,
+    replays: previous ? previous.replays + 1 : 0,
+    failedAt: Date.now()
+  }, DEAD_LETTER_RETENTION);
+
+  logger.error('Dead-lettered notification', { jobId: job.id, type: job.eventType, attempts: error.attempts || 1, error });
+}
+
+// Keep a promise running after the response has been sent, with Vercel's waitUntil.
+// Outside Vercel it's a no-op: the process stays alive, so the promise runs to completion.
+export function runInBackground(promise) {
+  waitUntil(promise);
+  return promise;
+}
+
+export async function getDeadLetters() {
+  return (await getStore().entries('deadLetters')).map(([id, entry]) => ({ id, ...entry }));
+}
+
+export async function getDeadLetter(id) {
+  return getStore().get('deadLetters', id);
+}
+
+export async function discardDeadLetter(id) {
+  return getStore().delete('deadLetters', id);
+}
+
+// Re-run a dead-lettered job. On success it's removed; on failure it's stored again with the new error.
+// A failed-channels job that fails again for some of its channels keeps its ID with only those left.
+export async function replayDeadLetter(id) {
+  const entry = await getDeadLetter(id);
+  if (!entry) {
+    return { success: false, reason: 'Dead letter not found' };
+  }
+
+  const result = await runDeliveryJob(entry.job);
+  if (result.success && result.deadLettered === id) {
+    return { success: false, reason: 'Some channels failed again', details: (await getDeadLetter(id)).error };
+  }
+  if (result.success) {
+    await discardDeadLetter(id);
+    logger.info('Replayed dead letter', { jobId: id });
+    return { success: true, reason: 'Delivered' };
+  }
+  return { success: false, reason: 'Delivery failed again', details: result.error };
+}
@@ -0,0 +1,152 @@
+// lib/digest.js
+import { LIBRARY_CONFIG } from './config.js';
+import { describeCommitType } from './commit-types.js';
+import { getStore } from './storage.js';
+import { postEventMessage } from './slack.js';
+import { logger } from './logger.js';
+
+// Digest delivery batches non-urgent publishes into one message per channel.
+// Per library:
+//   "delivery": "digest"                       -> every notifiable publish is queued
+//   "digest": { "types": ["style", "perf"],    -> only these types are queued, even when
+//               "schedule": "daily" | "weekly",   they'd otherwise be sent or dropped
+//               "channel": "#optional-override" }
+// Breaking, [priority] and forced (!) publishes always go out immediately.
+// The queue is flushed by the cron route in api/digest.js.
+const QUEUE_RETENTION = 8 * 24 * 60 * 60 * 1000; // Outlives a weekly schedule
+const MAX_ENTRIES_PER_TYPE = 10;
+
+function digestSchedule(library) {
+  return library.digest?.schedule || 'daily';
+}
+
+function digestChannel(library) {
+  return library.digest?.channel || library.channel;
+}
+
+// Decide whether a publish should be queued for the digest instead of posted now
+export function checkDigest(parsedCommit, library, notificationCheck) {
+  if (!parsedCommit.isValid) {
+    return notificationCheck;
+  }
+
+  const { type, priority, isForced } = parsedCommit;
+  if (type === 'breaking' || priority !== 'normal' || isForced) {
+    return notificationCheck;
+  }
+
+  const digestTypes = library.digest?.types;
+  const queueType = digestTypes?.includes(type);
+  const queueAll = library.delivery === 'digest' && notificationCheck.should && !digestTypes;
+
+  if (!queueType && !queueAll) {
+    return notificationCheck;
+  }
+
+  return {
+    should: true,
+    digest: true,
+    reason: `Type '${type}' queued for the ${digestSchedule(library)} digest`
+  };
+}
+
+export async function queueDigestEntry({ library, fileKey, publishedBy, parsedCommit, requestId }) {
+  const { type, scope, components, message, bulletPoints } = parsedCommit;
+
+  await getStore().set('digestQueue', requestId, {
+    fileKey,
+    channel: digestChannel(library),
+    schedule: digestSchedule(library),
+    type,
+    scope,
+    components,
+    message,
+    bulletPoints,
+    publishedBy,
+    queuedAt: Date.now()
+  }, QUEUE_RETENTION);
+
+  logger.info('Queued publish for digest', { type, library: library.name, requestId });
+}
+
+function formatEntry(entry) {
+  const target = entry.scope
+    ? ` (${entry.scope})`
+    : entry.components.length > 0 ? ` ${entry.components.map(comp => `\`${comp}\``).join(', ')}` : '';
+  return `•${target} ${entry.message} _— ${entry.publishedBy}_`;
+}
+
+// Block Kit for one channel's digest: grouped by library, then by commit type
+export function buildDigestBlocks(entries, schedule) {
+  const blocks = [{
+    type: 'header',
+    text: {
+      type: 'plain_text',
+      text: `📰 ${schedule === 'weekly' ? 'Weekly' : 'Daily'} library digest`
+    }
+  }];
+
+  const byLibrary = Map.groupBy(entries, entry => entry.fileKey);
+
+  for (const [fileKey, libraryEntries] of byLibrary) {
+    const libraryName = LIBRARY_CONFIG[fileKey]?.name || fileKey;
+    const lines = [`*${libraryName}* • <https://www.figma.com/file/${fileKey}|View in Figma>`];
+
+    for (const [type, typeEntries] of Map.groupBy(libraryEntries, entry => entry.type)) {
+      const commitType = describeCommitType(type);
+      lines.push(`${commitType.emoji} *${commitType.label}* (${typeEntries.length})`);
+      lines.push(...typeEntries.slice(0, MAX_ENTRIES_PER_TYPE).map(formatEntry));
+      if (typeEntries.length > MAX_ENTRIES_PER_TYPE) {
+        lines.push(`_…and ${typeEntries.length - MAX_ENTRIES_PER_TYPE} more_`);
+      }
+    }
+
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: lines.join('\n') }
+    });
+  }
+
+  blocks.push({
+    type: 'context',
+    elements: [{ type: 'mrkdwn', text: `${entries.length} updates since the last digest` }]
+  });
+
+  return blocks;
+}
+
+// Post and clear every queued entry for the given schedule, one message per channel
+export async function flushDigests(schedule = 'daily') {
+  const store = getStore();
+  const queued = (await store.entries('digestQueue'))
+    .filter(([, entry]) => entry.schedule === schedule)
+    .sort(([, a], [, b]) => a.queuedAt - b.queuedAt);
+
+  const results = [];
+
+  for (const [channel, channelEntries] of Map.groupBy(queued, ([, entry]) => entry.channel)) {
+    const entries = channelEntries.map(([, entry]) => entry);
+
+    try {
+      await postEventMessage({
+        channel,
+        text: `📰 ${entries.length} library updates`,
+        blocks: buildDigestBlocks(entries, schedule),
+        requestId: `digest-${schedule}-${channel}-${Date.now()}`,
+        fileKey: null,
+        eventType: 'DIGEST'
+      });
+
+      for (const [requestId] of channelEntries) {
+        await store.delete('digestQueue', requestId);
+      }
+      results.push({ channel, entries: entries.length, success: true });
+    } catch (error) {
+      // Leave the entries queued so the next run retries them
+      results.push({ channel, entries: entries.length, success: false, error: error.message });
+    }
+  }
+
+  logger.info('Flushed digests', { schedule, results });
+  return results;
+}
@@ -0,0 +1,258 @@
+// lib/events.js
+import { MENTION_GROUPS, PRIORITY_MENTION } from './config.js';
+import { parseSemanticCommit, shouldSendNotification, extractLibraryChanges, applyLibraryChanges } from './commits.js';
+import { buildSlackNotification, sendSlackNotification, postEventMessage, formatPublisher, recordDeliveries } from './slack.js';
+import { fetchPublishDetails } from './figma-api.js';
+import { resolveChannels } from './routing.js';
+import { notifySubscribers } from './subscriptions.js';
+import { deliverToDestinations } from './notifiers.js';
+import { postMilestone } from './versions.js';
+import { logger } from './logger.js';
+
+// Webhook event dispatcher. Each supported event_type has:
+//   describe(body)               -> text used to build the dedup request ID
+//   parse(body)                  -> parsed event
+//   check(parsed, library, key)  -> { should, reason, code? } (code names the skip for metrics)
+//   build(parsed, context)       -> the chat.postMessage payload, without sending it
+//   notify(parsed, context)      -> sends the notification
+//   summary(parsed)              -> short label for logs and responses
+//
+// LIBRARY_PUBLISH uses the library's top-level `rules`. Every other event is
+// opt-in per library through `events.<EVENT_TYPE>` in the config.
+
+function figmaFileUrl(fileKey) {
+  return `https://www.figma.com/file/${fileKey}`;
+}
+
+function eventSettings(library, eventType) {
+  return library.events?.[eventType];
+}
+
+function checkEnabled(library, eventType) {
+  if (!eventSettings(library, eventType)?.enabled) {
+    return { should: false, code: 'event_disabled', reason: `${eventType} notifications are not enabled for ${library.name}` };
+  }
+  return null;
+}
+
+function eventChannel(library, eventType) {
+  return eventSettings(library, eventType)?.channel || library.channel;
+}
+
+// FILE_COMMENT payloads carry the comment as fragments: [{ text }, { mention }, ...]
+function commentText(comment) {
+  if (typeof comment === 'string') {
+    return comment;
+  }
+  return (comment || []).map(fragment => fragment.text || '').join('');
+}
+
+// Resolved Slack mentions first, then MENTION_GROUPS, then plain @name text
+function formatMentions(names, resolved) {
+  return names
+    .map(mention => resolved[mention] || MENTION_GROUPS[mention] || `@${mention}`)
+    .join(' ');
+}
+
+function contextFooter(text) {
+  return {
+    type: 'context',
+    elements: [{ type: 'mrkdwn', text }]
+  };
+}
+
+function section(text) {
+  return {
+    type: 'section',
+    text: { type: 'mrkdwn', text }
+  };
+}
+
+// notify() for events whose message is fully described by their build()
+function postBuiltMessage(eventType) {
+  return async function notify(parsed, context) {
+    const payload = await EVENT_HANDLERS[eventType].build(parsed, context);
+    return postEventMessage({
+      ...payload,
+      requestId: context.requestId,
+      fileKey: context.fileKey,
+      eventType
+    });
+  };
+}
+
+const EVENT_HANDLERS = {
+  LIBRARY_PUBLISH: {
+    describe: body => body.description || '',
+
+    parse: body => applyLibraryChanges(parseSemanticCommit(body.description || ''), extractLibraryChanges(body)),
+
+    check: (parsedCommit, library, fileKey) => shouldSendNotification(parsedCommit, library.rules, fileKey),
+
+    build: async (parsedCommit, { library, fileKey, publishedBy, publisherSlackId, requestId, release, mentions, publishedAt }) => buildSlackNotification({
+      library,
+      fileKey,
+      publishedBy,
+      publisherSlackId,
+      parsedCommit,
+      requestId,
+      release,
+      mentions,
+      details: await fetchPublishDetails(fileKey, { changes: parsedCommit.changes, publishedAt, description: parsedCommit.raw }),
+      channel: resolveChannels(library, parsedCommit)[0]
+    }).payload,
+
+    // Returns { failedChannels } so lib/delivery.js can dead-letter routed copies that failed.
+    // A replay of those (context.channels) only posts to them: everything else already went out.
+    notify: async (parsedCommit, { library, fileKey, publishedBy, publisherSlackId, reason, requestId, release, mentions, channels, publishedAt }) => {
+      const { failed } = await sendSlackNotification({
+        library,
+        fileKey,
+        publishedBy,
+        publisherSlackId,
+        parsedCommit,
+        reason,
+        requestId,
+        details: await fetchPublishDetails(fileKey, { changes: parsedCommit.changes, publishedAt, description: parsedCommit.raw }),
+        release,
+        mentions,
+        channels
+      });
+      const failedChannels = failed.map(({ channel, error }) => ({ channel, error: error.message, code: error.data?.error || error.code || null }));
+      if (channels) {
+        return { failedChannels };
+      }
+      
+      // The announcement is out, so a failed milestone post is only logged (a replay would repeat the announcement)
+      if (release?.bump === 'major' && library.versioning?.milestones) {
+        await postMilestone({ library, fileKey, release, parsedCommit })
+          .catch(error => logger.error('Milestone post failed', { library: library.name, version: release.version, error }));
+      }
+      await notifySubscribers({ library, fileKey, publishedBy, publisherSlackId, parsedCommit, requestId });
+
+      // Teams, Discord and webhook destinations, tracked on the Slack message for updates and deletes
+      const deliveries = await deliverToDestinations({ library, fileKey, publishedBy, parsedCommit, requestId });
+      await recordDeliveries(requestId, deliveries);
+      return { failedChannels };
+    },
+
+    summary: parsedCommit => parsedCommit.type
+  },
+
+  // A named version was saved. Its label is parsed like a publish description.
+  FILE_VERSION_UPDATE: {
+    describe: body => `${body.version_id || ''}-${body.label || ''}`,
+
+    parse: body => ({
+      ...parseSemanticCommit([body.label, body.description].filter(Boolean).join('\n')),
+      label: body.label || '',
+      versionId: body.version_id
+    }),
+
+    check: (parsed, library, fileKey) => checkEnabled(library, 'FILE_VERSION_UPDATE')
+      || shouldSendNotification(parsed, eventSettings(library, 'FILE_VERSION_UPDATE').rules || library.rules, fileKey),
+
+    build: (parsed, { library, fileKey, fileName, publishedBy, publisherSlackId, mentions = {} }) => {
+      const { commitType, message, bulletPoints, label, versionId } = parsed;
+      const versionUrl = versionId ? `${figmaFileUrl(fileKey)}?version-id=${versionId}` : figmaFileUrl(fileKey);
+      const details = bulletPoints.length > 0 ? bulletPoints.map(point => `• ${point}`).join('\n') : message;
+
+      const mentionLine = formatMentions(parsed.mentions, mentions);
+
+      return {
+        channel: eventChannel(library, 'FILE_VERSION_UPDATE'),
+        text: `🏷️ New version of ${fileName}: ${label}`,
+        blocks: [
+          ...(mentionLine ? [section(mentionLine)] : []),
+          section(`*🏷️ New version saved: ${commitType.emoji} ${label.split('\n')[0]}*`),
+          section(details),
+          contextFooter(`Saved by ${formatPublisher(publishedBy, publisherSlackId)} in *${library.name}* • <${versionUrl}|View version in Figma>`)
+        ]
+      };
+    },
+
+    notify: postBuiltMessage('FILE_VERSION_UPDATE'),
+
+    summary: parsed => `version ${parsed.type}`
+  },
+
+  // A comment was posted. Only comments mentioning a watched group (e.g. [@designers]) are forwarded.
+  // Libraries that don't list their own watch the priority mention group.
+  FILE_COMMENT: {
+    describe: body => body.comment_id || commentText(body.comment),
+
+    parse: body => {
+      const text = commentText(body.comment);
+      const mentionMatches = text.match(/\[@([^\]]+)\]/g);
+
+      return {
+        text,
+        commentId: body.comment_id,
+        mentions: mentionMatches ? mentionMatches.map(match => match.slice(2, -1).toLowerCase()) : []
+      };
+    },
+
+    check: (parsed, library) => {
+      const disabled = checkEnabled(library, 'FILE_COMMENT');
+      if (disabled) {
+        return disabled;
+      }
+
+      const watched = eventSettings(library, 'FILE_COMMENT').mentions || (PRIORITY_MENTION ? [PRIORITY_MENTION] : []);
+      const matched = parsed.mentions.filter(mention => watched.includes(mention));
+      if (matched.length === 0) {
+        return { should: false, code: 'no_watched_mention', reason: `Comment does not mention ${watched.map(m => `[@${m}]`).join(', ')}` };
+      }
+      return { should: true, reason: `Comment mentions ${matched.map(m => `[@${m}]`).join(', ')}` };
+    },
+
+    build: (parsed, { library, fileKey, fileName, publishedBy, publisherSlackId, mentions = {} }) => {
+      const mentionLine = formatMentions(parsed.mentions, mentions);
+      const quoted = parsed.text.split('\n').map(line => `> ${line}`).join('\n');
+
+      return {
+        channel: eventChannel(library, 'FILE_COMMENT'),
+        text: `💬 ${publishedBy} commented on ${fileName}`,
+        blocks: [
+          section(mentionLine),
+          section(`*💬 New comment on ${fileName}*\n${quoted}`),
+          contextFooter(`Commented by ${formatPublisher(publishedBy, publisherSlackId)} in *${library.name}* • <${figmaFileUrl(fileKey)}|View in Figma>`)
+        ]
+      };
+    },
+
+    notify: postBuiltMessage('FILE_COMMENT'),
+
+    summary: () => 'comment'
+  },
+
+  // A monitored file was deleted. Always an alert once enabled.
+  FILE_DELETE: {
+    describe: () => 'FILE_DELETE',
+
+    parse: () => ({}),
+
+    check: (parsed, library) => checkEnabled(library, 'FILE_DELETE')
+      || { should: true, reason: 'File deletion alert' },
+
+    build: (parsed, { library, fileKey, fileName, publishedBy, publisherSlackId }) => ({
+      channel: eventChannel(library, 'FILE_DELETE'),
+      text: `🗑️ ${fileName} was deleted`,
+      blocks: [
+        section(`*🚨 Library file deleted: ${fileName}*`),
+        section(`*${library.name}* (\`${fileKey}\`) was deleted in Figma. Published components will stop updating until it is restored.`),
+        contextFooter(`Deleted by ${formatPublisher(publishedBy, publisherSlackId)}`)
+      ]
+    }),
+
+    notify: postBuiltMessage('FILE_DELETE'),
+
+    summary: () => 'file delete alert'
+  }
+};
+
+export const SUPPORTED_EVENTS = Object.keys(EVENT_HANDLERS);
+
+export function getEventHandler(eventType) {
+  return EVENT_HANDLERS[eventType] || null;
+}
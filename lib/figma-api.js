@@ -0,0 +1,106 @@
+// lib/figma-api.js
+import { getStore } from './storage.js';
+import { logger } from './logger.js';
+
+// Optional Figma REST API client used to enrich notifications.
+// Enabled by FIGMA_API_TOKEN (a personal access token). FIGMA_API_BASE_URL can
+// point at a local mock server for testing. Every lookup degrades to null when
+// the token is missing or the API fails, so notifications still go out.
+const DEFAULT_BASE_URL = 'https://api.figma.com';
+const DEFAULT_TIMEOUT_MS = 3000;
+const VERSIONS_CACHE_TTL = 60 * 1000; // 1 minute, keyed by publish time so later publishes never reuse it
+const VERSION_CLOCK_SKEW = 60 * 1000; // Versions saved this long after the webhook's timestamp still count
+const COMPONENTS_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours, keyed by version so never stale
+const MAX_THUMBNAILS = 3;
+
+export function isFigmaApiEnabled() {
+  return !!process.env.FIGMA_API_TOKEN;
+}
+
+async function figmaRequest(path) {
+  const baseUrl = (process.env.FIGMA_API_BASE_URL || DEFAULT_BASE_URL).replace(/\/$/, '');
+  const timeout = Number(process.env.FIGMA_API_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+
+  const response = await fetch(`${baseUrl}${path}`, {
+    headers: { 'X-Figma-Token': process.env.FIGMA_API_TOKEN },
+    signal: AbortSignal.timeout(timeout)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Figma API ${path} responded ${response.status}`);
+  }
+  return response.json();
+}
+
+// Fetch through the store so repeated lookups for the same file/version are free
+async function cachedRequest(cacheKey, ttl, path) {
+  const store = getStore();
+  const cached = await store.get('figmaApi', cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const data = await figmaRequest(path);
+  await store.set('figmaApi', cacheKey, data, ttl);
+  return data;
+}
+
+// Version a publish created: { id, label, description, created_at }. Autosaves (no label or
+// description) are passed over, and a version whose description matches the publish's wins.
+// Without publishedAt the list is fetched fresh rather than from the cache.
+export async function getPublishVersion(fileKey, { publishedAt, description } = {}) {
+  const path = `/v1/files/${fileKey}/versions`;
+  const data = publishedAt
+    ? await cachedRequest(`versions:${fileKey}:${publishedAt}`, VERSIONS_CACHE_TTL, path)
+    : await figmaRequest(path);
+
+  const candidates = (data.versions || [])
+    .filter(version => !publishedAt || Date.parse(version.created_at) <= publishedAt + VERSION_CLOCK_SKEW)
+    .filter(version => version.label || version.description);
+  return candidates.find(version => description && version.description?.trim() === description.trim())
+    || candidates[0]
+    || null;
+}
+
+// Published component metadata for a file at a given version
+export async function getPublishedComponents(fileKey, versionId) {
+  const data = await cachedRequest(`components:${fileKey}:${versionId}`, COMPONENTS_CACHE_TTL, `/v1/files/${fileKey}/components`);
+  return data.meta?.components || [];
+}
+
+// Look up the published version and thumbnails of the changed components. `publishedAt` (ms)
+// and `description` come from the webhook and pick the publish's version.
+// Returns { version, versionUrl, thumbnails, components } or null.
+export async function fetchPublishDetails(fileKey, { changes, publishedAt, description } = {}) {
+  if (!isFigmaApiEnabled()) {
+    return null;
+  }
+
+  try {
+    const version = await getPublishVersion(fileKey, { publishedAt, description });
+    const components = await getPublishedComponents(fileKey, version?.id || 'latest');
+
+    // Prefer the components this publish touched; fall back to none rather than random ones
+    const changedKeys = new Set([
+      ...(changes?.components.created || []),
+      ...(changes?.components.modified || [])
+    ].map(component => component.key));
+
+    const thumbnails = components
+      .filter(component => changedKeys.has(component.key) && component.thumbnail_url)
+      .slice(0, MAX_THUMBNAILS)
+      .map(component => ({ name: component.name, url: component.thumbnail_url, nodeId: component.node_id }));
+
+    logger.info('Fetched Figma publish details', { fileKey, versionId: version?.id || null, thumbnails: thumbnails.length });
+
+    return {
+      version,
+      versionUrl: version ? `https://www.figma.com/file/${fileKey}?version-id=${version.id}` : null,
+      thumbnails,
+      components
+    };
+  } catch (error) {
+    logger.warn('Figma API lookup failed, sending without details', { fileKey, error: error.message });
+    return null;
+  }
+}
@@ -0,0 +1,51 @@
+// lib/history.js
+import { getStore } from './storage.js';
+import { matchesComponentPatterns } from './routing.js';
+
+// Permanent record of parsed publishes, used for the changelog export (api/changelog.js).
+// Unlike sentMessages (90 days by default) entries never expire, so they need a persistent backend (redis).
+// Entries are keyed by request ID so later dev status updates land on the same entry.
+
+export async function recordPublish({ library, fileKey, publishedBy, parsedCommit, requestId, announced, version }) {
+  const { type, scope, components, message, bulletPoints, priority, isDevComplete, notes = [] } = parsedCommit;
+
+  await getStore().set('history', requestId, {
+    fileKey,
+    libraryName: library.name,
+    type,
+    scope,
+    components,
+    message,
+    bulletPoints,
+    notes,
+    priority,
+    isDevComplete,
+    publishedBy,
+    version,
+    announced,
+    publishedAt: Date.now()
+  });
+}
+
+// Flip an entry to dev complete when its Slack message is marked (button or follow-up publish)
+export async function markHistoryDevComplete(requestId) {
+  const store = getStore();
+  const entry = await store.get('history', requestId);
+  if (entry && !entry.isDevComplete) {
+    await store.set('history', requestId, { ...entry, isDevComplete: true, devCompleteAt: Date.now() });
+  }
+}
+
+// Filters: { fileKey, from, to (ms timestamps), types: [...], components: ['Button*'] }
+// Returns the newest entries first.
+export async function getHistory({ fileKey, from, to, types, components } = {}) {
+  return (await getStore().entries('history'))
+    .map(([requestId, entry]) => ({ requestId, ...entry }))
+    .filter(entry => !fileKey || entry.fileKey === fileKey)
+    .filter(entry => !from || entry.publishedAt >= from)
+    .filter(entry => !to || entry.publishedAt <= to)
+    .filter(entry => !types?.length || types.includes(entry.type))
+    .filter(entry => !components?.length
+      || matchesComponentPatterns(components, entry.scope ? [...entry.components, entry.scope] : entry.components))
+    .sort((a, b) => b.publishedAt - a.publishedAt);
+}
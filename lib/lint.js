@@ -0,0 +1,202 @@
+// lib/lint.js
+import { COMMIT_TYPES, COMMIT_TYPE_FALLBACK, MENTION_GROUPS } from './config.js';
+import { SEMANTIC_REGEX, COMPONENT_LIST_REGEX, DESCRIPTION_FLAGS } from './commits.js';
+import { commitTypeWords, commitTypeNames } from './commit-types.js';
+import { resolveMentions, resolveFigmaUser } from './mentions.js';
+import { isTicketList } from './tickets.js';
+import { getHistory } from './history.js';
+import { slack, callSlack } from './slack.js';
+import { incrementCounter } from './metrics.js';
+import { logger } from './logger.js';
+
+// Publish-description linter. Explains why a description won't parse (or won't do what the
+// publisher meant) and suggests a corrected one:
+//   missing_type         "Button: new sizes"         -> "update(Button): new sizes"
+//   unknown_type         "feet: Button"              -> "feat: Button"
+//   lowercase_component  "fix: button, input"        -> "fix: Button, Input"
+//                        "fix: buton" (a known name) -> "fix: Button"
+//   unknown_mention      "[@desginers]"              -> "[@designers]"
+//   unknown_flag         "[dev complete]"            -> "[dev-complete]"
+// Feedback goes to the publisher by DM, or to the library's `lint.channel` when they can't be
+// found in Slack (or `lint.dm` is false). `"lint": false` turns it off for a library.
+const MAX_DISTANCE = 2; // Edits allowed between a typo and the word it's suggested for
+const LOOSE_HEADER_REGEX = /^([a-z][a-z0-9-]*)\s*[-–:]?\s+(.+)$/i;
+const LOOSE_LIST_REGEX = /^[a-zA-Z][a-zA-Z0-9]*(?:\s*,\s*[a-zA-Z][a-zA-Z0-9]*)*$/;
+const FLAG_REGEX = /\[([^\]@][^\]]*)\](?!\()/g; // [flag], but not [@mention] or a [markdown](link)
+const MENTION_REGEX = /\[@([^\]]+)\]/g;
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Closest candidate within MAX_DISTANCE edits, or null
+function closest(word, candidates) {
+  let best = null;
+  let bestDistance = MAX_DISTANCE + 1;
+  for (const candidate of candidates) {
+    const distance = editDistance(word.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+// Type to suggest when a description has none at all
+function defaultType() {
+  return COMMIT_TYPE_FALLBACK || (COMMIT_TYPES.update ? 'update' : Object.keys(COMMIT_TYPES)[0]);
+}
+
+function capitalize(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+// Type and component-list problems on the first line. Returns the corrected first line.
+// `componentNames` are the library's known component names.
+function lintHeader(header, componentNames, problems) {
+  const match = header.match(SEMANTIC_REGEX);
+  if (!match) {
+    const loose = header.match(LOOSE_HEADER_REGEX);
+    const intended = loose && closest(loose[1], commitTypeWords());
+    if (intended) {
+      problems.push({ code: 'missing_type', message: `Start the first line with the type and a colon: \`${intended}: ${loose[2]}\`` });
+      return lintHeader(`${intended}: ${loose[2]}`, componentNames, problems);
+    }
+    problems.push({ code: 'missing_type', message: `Start the first line with a commit type and a colon, like \`feat:\` or \`fix:\` (one of ${commitTypeNames()})` });
+    return lintHeader(`${defaultType()}: ${header}`, componentNames, problems);
+  }
+
+  const [, typeName, scope = '', force = '', afterColon] = match;
+  let type = typeName;
+  if (!commitTypeWords().includes(typeName.toLowerCase())) {
+    const intended = closest(typeName, commitTypeWords());
+    // "Button: new sizes" names a component where the type should be
+    if (!intended && !scope && /^[A-Z]/.test(typeName)) {
+      const fixed = `${defaultType()}(${typeName})${force}: ${afterColon.trim()}`;
+      problems.push({ code: 'missing_type', message: `Start the first line with a commit type, like \`${fixed}\`` });
+      return fixed;
+    }
+    problems.push({
+      code: 'unknown_type',
+      message: intended
+        ? `\`${typeName}\` isn't a commit type. Did you mean \`${intended}\`?`
+        : `\`${typeName}\` isn't a commit type (expected ${commitTypeNames()})`
+    });
+    type = intended || type;
+  }
+
+  // "fix: button, input" is read as a message, so the components never show up. A single
+  // word ("fix: typo") is only flagged when it's close to a known component name.
+  let rest = afterColon.trim();
+  const looksLikeComponents = rest.includes(',') || !!closest(rest, componentNames);
+  if (!COMPONENT_LIST_REGEX.test(rest) && LOOSE_LIST_REGEX.test(rest) && looksLikeComponents) {
+    const fixed = rest.split(',').map(name => closest(name.trim(), componentNames) || capitalize(name.trim())).join(', ');
+    problems.push({ code: 'lowercase_component', message: `Write component names the way they're published, with a capital letter: \`${fixed}\`` });
+    rest = fixed;
+  }
+
+  return `${type}${scope}${force}: ${rest}`;
+}
+
+// Component names published in a library before, plus the ones a publish's changes list
+export async function knownComponentNames(fileKey, changes) {
+  const published = (await getHistory({ fileKey })).flatMap(entry => entry.components || []);
+  const changed = Object.values(changes?.components || {}).flat().map(component => component.name);
+  return [...new Set([...changed, ...published])];
+}
+
+// { problems: [{ code, message }], suggestion } where suggestion is the corrected
+// description, or null when nothing could be fixed automatically. `componentNames` (e.g. the
+// components in the publish) let single lowercase names be recognised.
+export async function lintDescription(description, { componentNames = [] } = {}) {
+  if (!description.trim()) {
+    return { problems: [{ code: 'missing_type', message: 'The description is empty. Start it with a commit type, like `feat: Button`' }], suggestion: null };
+  }
+  
+  const problems = [];
+  const lines = description.trim().split('\n');
+  let suggestion = [lintHeader(lines[0].trim(), componentNames, problems), ...lines.slice(1)].join('\n');
+
+  for (const [text, flag] of description.matchAll(FLAG_REGEX)) {
+    const normalized = flag.trim().toLowerCase().replace(/[\s_]+/g, '-');
+    // [DS-123] is a ticket reference, linked like DS-123
+    if (DESCRIPTION_FLAGS.includes(flag.toLowerCase()) || isTicketList(flag)) {
+      continue;
+    }
+    const intended = DESCRIPTION_FLAGS.includes(normalized) ? normalized : closest(normalized, DESCRIPTION_FLAGS);
+    problems.push({
+      code: 'unknown_flag',
+      message: intended
+        ? `\`${text}\` isn't a flag. Did you mean \`[${intended}]\`?`
+        : `\`${text}\` isn't a flag (expected ${DESCRIPTION_FLAGS.map(known => `[${known}]`).join(', ')} or [@mention])`
+    });
+    if (intended) {
+      suggestion = suggestion.replace(text, `[${intended}]`);
+    }
+  }
+
+  const mentions = [...description.matchAll(MENTION_REGEX)].map(([text, name]) => ({ text, name: name.toLowerCase() }));
+  const { unresolved } = await resolveMentions(mentions.map(mention => mention.name));
+  for (const { text, name } of mentions.filter(mention => unresolved.includes(mention.name))) {
+    const intended = closest(name, Object.keys(MENTION_GROUPS));
+    problems.push({
+      code: 'unknown_mention',
+      message: intended
+        ? `\`${text}\` doesn't match a Slack user or group. Did you mean \`[@${intended}]\`?`
+        : `\`${text}\` doesn't match a Slack user or group, so nobody would be notified`
+    });
+    if (intended) {
+      suggestion = suggestion.replace(text, `[@${intended}]`);
+    }
+  }
+
+  return { problems, suggestion: suggestion !== description.trim() ? suggestion : null };
+}
+
+// "• problem" lines plus the suggested description (also used by `/figma-updates test`)
+export function formatLintProblems(report) {
+  const lines = report.problems.map(problem => `• ${problem.message}`);
+  if (report.suggestion) {
+    lines.push('Suggested description:', `\`\`\`${report.suggestion}\`\`\``);
+  }
+  return lines.join('\n');
+}
+
+function formatReport({ libraryName, publishedBy, report, skipped, inChannel }) {
+  const subject = inChannel ? `*${publishedBy}*'s ${libraryName} publish` : `Your ${libraryName} publish`;
+  const outcome = skipped ? 'was skipped because its description couldn\'t be read' : 'was processed, but its description has problems';
+  return `✏️ ${subject} ${outcome}:\n${formatLintProblems(report)}`;
+}
+
+// Send a lint report to the publisher, or to the library's help channel
+export async function sendLintFeedback({ library, triggeredBy, report, skipped }) {
+  for (const problem of report.problems) {
+    incrementCounter('figma_lint_problems_total', { problem: problem.code });
+  }
+
+  const settings = library.lint || {};
+  const publishedBy = triggeredBy?.handle || 'Unknown';
+  const userId = settings.dm !== false ? await resolveFigmaUser(triggeredBy) : null;
+  if (!userId && !settings.channel) {
+    logger.info('No one to send description lint feedback to', { publishedBy, problems: report.problems.length });
+    return;
+  }
+
+  try {
+    const channel = userId ? (await callSlack('conversations.open', () => slack.conversations.open({ users: userId }))).channel.id : settings.channel;
+    const text = formatReport({ libraryName: library.name, publishedBy, report, skipped, inChannel: !userId });
+    await callSlack('chat.postMessage', () => slack.chat.postMessage({ channel, text }));
+    logger.info('Sent description lint feedback', { publishedBy, channel, problems: report.problems.map(problem => problem.code) });
+  } catch (error) {
+    logger.error('Error sending description lint feedback', { publishedBy, error });
+  }
+}
@@ -0,0 +1,78 @@
+// lib/logger.js
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+// JSON-lines logger. Each line is { time, level, msg, ...context, ...fields }, where the
+// context (requestId, fileKey, eventType) is attached once per request with withLogContext()
+// and follows every async call made inside it, including background delivery.
+//
+// LOG_LEVEL: debug, info (default), warn, error or silent.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Field names whose values are never logged, plus anything that looks like a Slack token
+const SECRET_KEY_REGEX = /passcode|token|secret|password|authorization|signature|cookie/i;
+const SLACK_TOKEN_REGEX = /xox[abposr]-[A-Za-z0-9-]+/g;
+const REDACTED = '[redacted]';
+const MAX_DEPTH = 8;
+
+const requestContext = new AsyncLocalStorage();
+
+function minimumLevel() {
+  return LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] ?? LEVELS.info;
+}
+
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return value.replace(SLACK_TOKEN_REGEX, REDACTED);
+  }
+  if (value instanceof Error) {
+    return redact({ name: value.name, message: value.message, code: value.code, stack: value.stack }, depth);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[truncated]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SECRET_KEY_REGEX.test(key) && item != null ? REDACTED : redact(item, depth + 1)
+  ]));
+}
+
+function write(level, msg, fields) {
+  if (LEVELS[level] < minimumLevel()) {
+    return;
+  }
+
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg: redact(msg),
+    ...redact({ ...requestContext.getStore(), ...fields })
+  });
+  if (LEVELS[level] >= LEVELS.warn) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+export const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
+
+// Run fn with fields attached to every line it logs
+export function withLogContext(fields, fn) {
+  return requestContext.run({ ...requestContext.getStore(), ...fields }, fn);
+}
+
+// Add fields to the current context once they're known (the request ID is computed mid-handler)
+export function addLogContext(fields) {
+  Object.assign(requestContext.getStore() ?? {}, fields);
+}
@@ -0,0 +1,183 @@
+// lib/mentions.js
+import { MENTION_GROUPS } from './config.js';
+import { getStore } from './storage.js';
+import { slack, callSlack } from './slack.js';
+import { logger } from './logger.js';
+
+// Resolves [@name] mentions and Figma publishers to real Slack users and groups.
+// MENTION_GROUPS wins; otherwise names are matched against user group handles/names
+// (usergroups.list) and user handles, display names and real names (users.list).
+// Email addresses go through users.lookupByEmail. The directory is cached in the
+// store and reloaded once it's older than SLACK_DIRECTORY_TTL_MS (default 1 hour).
+const DEFAULT_DIRECTORY_TTL = 60 * 60 * 1000;
+const USERS_PAGE_SIZE = 200;
+
+function directoryTtl() {
+  return Number(process.env.SLACK_DIRECTORY_TTL_MS) || DEFAULT_DIRECTORY_TTL;
+}
+
+function normalize(name) {
+  return (name || '').trim().replace(/^@/, '').toLowerCase();
+}
+
+async function cached(key, load) {
+  const store = getStore();
+  const hit = await store.get('slackDirectory', key);
+  if (hit !== null && hit !== undefined) {
+    return hit;
+  }
+
+  // Failed loads return null and are retried on the next call instead of being cached
+  const value = await load();
+  if (value !== null) {
+    await store.set('slackDirectory', key, value, directoryTtl());
+  }
+  return value;
+}
+
+async function loadUsergroups() {
+  try {
+    const result = await callSlack('usergroups.list', () => slack.usergroups.list({ include_disabled: false }));
+    return (result.usergroups || []).map(group => ({ id: group.id, handle: group.handle, name: group.name }));
+  } catch (error) {
+    logger.error('Error listing Slack user groups', { error });
+    return null;
+  }
+}
+
+async function loadUsers() {
+  const users = [];
+  let cursor;
+
+  try {
+    do {
+      const result = await callSlack('users.list', () => slack.users.list({ limit: USERS_PAGE_SIZE, cursor }));
+      for (const member of result.members || []) {
+        if (member.deleted || member.is_bot) {
+          continue;
+        }
+        users.push({
+          id: member.id,
+          name: member.name,
+          displayName: member.profile?.display_name,
+          realName: member.profile?.real_name,
+          email: member.profile?.email
+        });
+      }
+      cursor = result.response_metadata?.next_cursor;
+    } while (cursor);
+  } catch (error) {
+    logger.error('Error listing Slack users', { error });
+    return null;
+  }
+
+  logger.info('Loaded Slack users into the mention directory', { users: users.length });
+  return users;
+}
+
+// Slack user ID for an email address, or null. Misses are cached too.
+async function lookupEmail(email) {
+  const found = await cached(`email:${email}`, async () => {
+    try {
+      const result = await callSlack('users.lookupByEmail', () => slack.users.lookupByEmail({ email }));
+      return { id: result.user?.id || null };
+    } catch (error) {
+      if (error.data?.error === 'users_not_found') {
+        return { id: null };
+      }
+      logger.error('Error looking up Slack user by email', { error });
+      return null;
+    }
+  });
+  return found?.id || null;
+}
+
+async function findUserId(name) {
+  const needle = normalize(name);
+  if (!needle) {
+    return null;
+  }
+  if (needle.includes('@')) {
+    return lookupEmail(needle);
+  }
+
+  const users = (await cached('users', loadUsers)) || [];
+  const match = users.find(user => [user.name, user.displayName, user.realName].some(candidate => normalize(candidate) === needle));
+  return match?.id || null;
+}
+
+async function resolveMention(name) {
+  if (MENTION_GROUPS[name]) {
+    return MENTION_GROUPS[name];
+  }
+
+  const needle = normalize(name);
+  const usergroups = (await cached('usergroups', loadUsergroups)) || [];
+  const group = usergroups.find(candidate => normalize(candidate.handle) === needle || normalize(candidate.name) === needle);
+  if (group) {
+    return `<!subteam^${group.id}>`;
+  }
+
+  const userId = await findUserId(name);
+  return userId ? `<@${userId}>` : null;
+}
+
+// { resolved: { name: '<@U…>' | '<!subteam^S…>' }, unresolved: [name, ...] }
+export async function resolveMentions(names = []) {
+  const resolved = {};
+  const unresolved = [];
+
+  for (const name of new Set(names)) {
+    const mention = await resolveMention(name);
+    if (mention) {
+      resolved[name] = mention;
+    } else {
+      unresolved.push(name);
+    }
+  }
+
+  if (unresolved.length > 0) {
+    logger.info('Unresolved mentions', { unresolved });
+  }
+  return { resolved, unresolved };
+}
+
+// Slack user ID for a webhook's triggered_by ({ id, handle, email? }), or null
+export async function resolveFigmaUser(triggeredBy) {
+  if (!triggeredBy) {
+    return null;
+  }
+  if (triggeredBy.email) {
+    const userId = await lookupEmail(normalize(triggeredBy.email));
+    if (userId) {
+      return userId;
+    }
+  }
+  return findUserId(triggeredBy.handle);
+}
+
+// Slack mentions for a notification's [@name]s and the publisher's Slack ID:
+// { mentions, unresolved, publisherSlackId }. Loading the directory can take seconds,
+// so the webhook leaves this to the background delivery (dry runs excepted).
+export async function resolveNotificationPeople(names, triggeredBy) {
+  const { resolved, unresolved } = await resolveMentions(names);
+  return { mentions: resolved, unresolved, publisherSlackId: await resolveFigmaUser(triggeredBy) };
+}
+
+// DM the publisher about mentions that didn't ping anyone
+export async function reportUnresolvedMentions(userId, unresolved, libraryName) {
+  if (!userId || unresolved.length === 0) {
+    return;
+  }
+
+  try {
+    const { channel } = await callSlack('conversations.open', () => slack.conversations.open({ users: userId }));
+    await callSlack('chat.postMessage', () => slack.chat.postMessage({
+      channel: channel.id,
+      text: `⚠️ Your ${libraryName} publish mentioned ${unresolved.map(name => `[@${name}]`).join(', ')}, `
+        + 'but no Slack user or group matches, so nobody was notified.'
+    }));
+  } catch (error) {
+    logger.error('Error reporting unresolved mentions', { userId, error });
+  }
+}
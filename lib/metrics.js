@@ -0,0 +1,129 @@
+// lib/metrics.js
+
+// Counters and histograms kept in process memory, so each instance exports its own series
+// since it started (the usual Prometheus model: rate() and increase() handle the resets when
+// an instance is recycled). Rendered for Prometheus by /api/metrics.
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const series = new Map(); // seriesKey -> counter value or { buckets, sum, count }
+
+const METRICS = {
+  figma_webhook_requests_total: {
+    type: 'counter',
+    help: 'Webhook requests by event type and decision (notify, skip, digest, duplicate, rate_limited, ...)'
+  },
+  figma_webhook_skips_total: {
+    type: 'counter',
+    help: 'Skipped notifications by reason code'
+  },
+  figma_webhook_duration_seconds: {
+    type: 'histogram',
+    help: 'Time from receiving a webhook to deciding what to do with it',
+    buckets: LATENCY_BUCKETS
+  },
+  figma_lint_problems_total: {
+    type: 'counter',
+    help: 'Problems found in publish descriptions by the linter, by problem code'
+  },
+  figma_deliveries_total: {
+    type: 'counter',
+    help: 'Background notification deliveries by event type and result (delivered, dead_lettered)'
+  },
+  figma_delivery_duration_seconds: {
+    type: 'histogram',
+    help: 'Time taken by background notification deliveries',
+    buckets: LATENCY_BUCKETS
+  },
+  slack_api_calls_total: {
+    type: 'counter',
+    help: 'Slack Web API calls by method and result (success, error) after retries'
+  },
+  slack_api_duration_seconds: {
+    type: 'histogram',
+    help: 'Slack Web API call latency including retries',
+    buckets: LATENCY_BUCKETS
+  }
+};
+
+// figma_webhook_requests_total{decision="skip",event_type="LIBRARY_PUBLISH"}
+function seriesKey(name, labels) {
+  const pairs = Object.entries(labels)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([label, value]) => `${label}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return pairs.length > 0 ? `${name}{${pairs.join(',')}}` : name;
+}
+
+function update(name, labels, change) {
+  const key = seriesKey(name, labels);
+  series.set(key, change(series.get(key)));
+}
+
+export function incrementCounter(name, labels = {}, amount = 1) {
+  return update(name, labels, value => (value || 0) + amount);
+}
+
+export function observeHistogram(name, labels, seconds) {
+  const { buckets } = METRICS[name];
+  return update(name, labels, value => {
+    const histogram = value || { buckets: buckets.map(() => 0), sum: 0, count: 0 };
+    buckets.forEach((bound, index) => {
+      if (seconds <= bound) {
+        histogram.buckets[index] += 1;
+      }
+    });
+    histogram.sum += seconds;
+    histogram.count += 1;
+    return histogram;
+  });
+}
+
+// Outcome of one webhook request. `skipReason` is the check's code for skipped notifications.
+export function recordWebhookDecision({ eventType, decision, skipReason }, startTime) {
+  const labels = { event_type: eventType || 'unknown', decision };
+  incrementCounter('figma_webhook_requests_total', labels);
+  observeHistogram('figma_webhook_duration_seconds', { decision }, (Date.now() - startTime) / 1000);
+  if (decision === 'skip') {
+    incrementCounter('figma_webhook_skips_total', { reason: skipReason || 'other' });
+  }
+}
+
+// Time an async call and count it by result; the call's own result or error passes through
+export async function timeCall(counter, histogram, labels, fn) {
+  const startTime = Date.now();
+  try {
+    const result = await fn();
+    incrementCounter(counter, { ...labels, result: 'success' });
+    return result;
+  } catch (error) {
+    incrementCounter(counter, { ...labels, result: 'error' });
+    throw error;
+  } finally {
+    observeHistogram(histogram, labels, (Date.now() - startTime) / 1000);
+  }
+}
+
+// Prometheus text exposition format (version 0.0.4)
+export function renderPrometheus() {
+  const lines = [];
+
+  for (const [name, { type, help, buckets }] of Object.entries(METRICS)) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+
+    for (const [key, value] of [...series].filter(([key]) => key === name || key.startsWith(`${name}{`))) {
+      if (type === 'counter') {
+        lines.push(`${key} ${value}`);
+        continue;
+      }
+
+      const labels = key === name ? '' : key.slice(name.length + 1, -1);
+      const withLabels = extra => `{${[labels, extra].filter(Boolean).join(',')}}`;
+      buckets.forEach((bound, index) => lines.push(`${name}_bucket${withLabels(`le="${bound}"`)} ${value.buckets[index]}`));
+      lines.push(`${name}_bucket${withLabels('le="+Inf"')} ${value.count}`);
+      lines.push(`${name}_sum${labels ? `{${labels}}` : ''} ${value.sum}`);
+      lines.push(`${name}_count${labels ? `{${labels}}` : ''} ${value.count}`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
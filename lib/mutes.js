@@ -0,0 +1,38 @@
+// lib/mutes.js
+import { getStore } from './storage.js';
+import { logger } from './logger.js';
+
+// Temporary per-library mutes set with `/figma-updates mute <library> <duration>`.
+// A mute is just a store entry whose TTL is the mute duration.
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+const MAX_MUTE = 30 * DURATION_UNITS.d;
+
+// Parse "30m", "2h" or "1d" into milliseconds, or null if invalid
+export function parseDuration(text) {
+  const match = (text || '').trim().match(/^(\d+)\s*([mhd])$/i);
+  if (!match) {
+    return null;
+  }
+  const ms = Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()];
+  return ms > 0 && ms <= MAX_MUTE ? ms : null;
+}
+
+export async function muteLibrary(fileKey, durationMs, mutedBy) {
+  const until = Date.now() + durationMs;
+  await getStore().set('mutes', fileKey, { until, mutedBy }, durationMs);
+  logger.info('Muted library', { fileKey, until: new Date(until).toISOString(), mutedBy });
+  return until;
+}
+
+export async function unmuteLibrary(fileKey) {
+  return getStore().delete('mutes', fileKey);
+}
+
+// Returns { until, mutedBy } while the library is muted, otherwise null
+export async function getLibraryMute(fileKey) {
+  return getStore().get('mutes', fileKey);
+}
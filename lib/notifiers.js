@@ -0,0 +1,253 @@
+// lib/notifiers.js
+import { describeCommitType } from './commit-types.js';
+import { withRetry, classifyHttpError } from './retry.js';
+import { logger } from './logger.js';
+
+// Non-Slack destinations for publish notifications. Slack stays the primary sink
+// (lib/slack.js); each library can add more under `destinations`:
+//   { "type": "teams",   "urlEnv": "TEAMS_DS_WEBHOOK_URL" }  -> Adaptive Card via an incoming webhook
+//   { "type": "discord", "urlEnv": "DISCORD_DS_WEBHOOK_URL" } -> embed via a Discord webhook
+//   { "type": "webhook", "url": "https://example.com/hook" }  -> plain JSON for anything else
+// `urlEnv` names an environment variable so webhook secrets stay out of the config.
+// None of them can schedule a message, so quiet hours (lib/quiet-hours.js) don't apply here.
+//
+// Every notifier has:
+//   render(notification)             -> request body for the sink
+//   send(url, body)                  -> { messageId } (null when the sink doesn't return one)
+//   update(url, delivery, body)      -> edits the delivered message, if the sink supports it
+//   remove(url, delivery, body)      -> deletes the delivered message, if the sink supports it
+// where notification is { library, fileKey, publishedBy, parsedCommit, requestId }.
+const DEFAULT_TIMEOUT_MS = 5000;
+const PRIORITY_COLORS = { normal: '#36C5F0', high: '#ECB22E', critical: '#E01E5A' };
+
+function figmaFileUrl(fileKey) {
+  return `https://www.figma.com/file/${fileKey}`;
+}
+
+function notificationTitle({ commitType, scope, components = [] }) {
+  let title = `${commitType.emoji} ${commitType.label}`;
+  if (scope) {
+    title += ` (${scope})`;
+  } else if (components.length > 0) {
+    title += `: ${components.join(', ')}`;
+  }
+  return title;
+}
+
+function notificationBody({ message, bulletPoints = [] }) {
+  return bulletPoints.length > 0 ? bulletPoints.map(point => `• ${point}`).join('\n') : message;
+}
+
+function devStatus({ isDevComplete }) {
+  return `Design 🟢 · Development ${isDevComplete ? '🟢' : '🟡'}`;
+}
+
+function notificationColor(parsedCommit) {
+  return parsedCommit.commitType.color || PRIORITY_COLORS[parsedCommit.priority] || PRIORITY_COLORS.normal;
+}
+
+async function request(url, { method = 'POST', body } = {}) {
+  const timeout = Number(process.env.DESTINATION_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+
+  return withRetry(async () => {
+    const response = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: AbortSignal.timeout(timeout)
+    });
+
+    if (!response.ok) {
+      throw Object.assign(new Error(`${method} responded ${response.status}`), {
+        status: response.status,
+        retryAfter: response.headers.get('retry-after')
+      });
+    }
+    return response;
+  }, { label: `${method} destination`, classify: classifyHttpError });
+}
+
+const NOTIFIERS = {
+  // Teams incoming webhooks (and Workflows "post to a channel when a webhook request is received")
+  // don't return a message ID, so posted cards can't be edited or deleted.
+  teams: {
+    render: ({ library, fileKey, publishedBy, parsedCommit }) => ({
+      type: 'message',
+      attachments: [{
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          body: [
+            {
+              type: 'TextBlock',
+              text: notificationTitle(parsedCommit),
+              weight: 'Bolder',
+              size: 'Medium',
+              color: parsedCommit.priority === 'normal' ? 'Default' : 'Attention',
+              wrap: true
+            },
+            { type: 'TextBlock', text: notificationBody(parsedCommit), wrap: true },
+            {
+              type: 'FactSet',
+              facts: [
+                { title: 'Library', value: library.name },
+                { title: 'Published by', value: publishedBy },
+                { title: 'Status', value: devStatus(parsedCommit) }
+              ]
+            }
+          ],
+          actions: [{ type: 'Action.OpenUrl', title: 'View in Figma', url: figmaFileUrl(fileKey) }]
+        }
+      }]
+    }),
+
+    send: async (url, body) => {
+      await request(url, { body });
+      return { messageId: null };
+    }
+  },
+
+  // ?wait=true makes Discord return the created message so it can be edited and deleted later
+  discord: {
+    render: ({ library, fileKey, publishedBy, parsedCommit }) => ({
+      content: parsedCommit.priority === 'normal' ? undefined : '⚠️ Please review',
+      embeds: [{
+        title: notificationTitle(parsedCommit),
+        description: notificationBody(parsedCommit),
+        url: figmaFileUrl(fileKey),
+        color: parseInt(notificationColor(parsedCommit).replace('#', ''), 16),
+        fields: [{ name: 'Status', value: devStatus(parsedCommit), inline: true }],
+        footer: { text: `Published by ${publishedBy} in ${library.name}` },
+        timestamp: new Date().toISOString()
+      }],
+      allowed_mentions: { parse: [] }
+    }),
+
+    send: async (url, body) => {
+      const response = await request(`${url}?wait=true`, { body });
+      const message = await response.json();
+      return { messageId: message.id };
+    },
+
+    update: (url, delivery, body) => request(`${url}/messages/${delivery.messageId}`, { method: 'PATCH', body }),
+
+    remove: (url, delivery) => request(`${url}/messages/${delivery.messageId}`, { method: 'DELETE' })
+  },
+
+  // Generic JSON webhook. Updates and deletes are sent as further events for the same requestId.
+  webhook: {
+    render: ({ library, fileKey, publishedBy, parsedCommit, requestId }) => ({
+      event: 'publish',
+      requestId,
+      library: { name: library.name, fileKey, url: figmaFileUrl(fileKey) },
+      publishedBy,
+      commit: {
+        type: parsedCommit.type,
+        label: parsedCommit.commitType.label,
+        emoji: parsedCommit.commitType.emoji,
+        scope: parsedCommit.scope,
+        components: parsedCommit.components,
+        message: parsedCommit.message,
+        bulletPoints: parsedCommit.bulletPoints,
+        priority: parsedCommit.priority,
+        isDevComplete: parsedCommit.isDevComplete
+      },
+      title: notificationTitle(parsedCommit)
+    }),
+
+    send: async (url, body) => {
+      await request(url, { body });
+      return { messageId: body.requestId };
+    },
+
+    update: (url, delivery, body) => request(url, { body: { ...body, event: 'update' } }),
+
+    remove: (url, delivery) => request(url, { body: { event: 'delete', requestId: delivery.messageId } })
+  }
+};
+
+export const DESTINATION_TYPES = Object.keys(NOTIFIERS);
+
+function destinationUrl(destination) {
+  return destination.url || process.env[destination.urlEnv];
+}
+
+// Rebuild the render input for a tracked message (see trackSentMessage in lib/slack.js)
+function notificationFromRecord(library, requestId, messageData) {
+  return {
+    library,
+    fileKey: messageData.fileKey,
+    publishedBy: messageData.publishedBy,
+    requestId,
+    parsedCommit: {
+      ...messageData.commit,
+      type: messageData.commitType,
+      scope: messageData.scope,
+      components: messageData.components,
+      isDevComplete: messageData.isDevComplete,
+      commitType: describeCommitType(messageData.commitType)
+    }
+  };
+}
+
+// Send a publish to every configured destination. One failing sink doesn't stop the others.
+// Returns one delivery record per destination: { index, type, messageId, success, error? }
+export async function deliverToDestinations(notification) {
+  const deliveries = [];
+
+  for (const [index, destination] of (notification.library.destinations || []).entries()) {
+    const notifier = NOTIFIERS[destination.type];
+    const url = destinationUrl(destination);
+    if (!url) {
+      logger.error('No URL for destination', { destination: destination.type, index, urlEnv: destination.urlEnv });
+      deliveries.push({ index, type: destination.type, messageId: null, success: false, error: 'Missing URL' });
+      continue;
+    }
+
+    try {
+      const { messageId } = await notifier.send(url, notifier.render(notification));
+      logger.info('Sent destination notification', { type: notification.parsedCommit.type, destination: destination.type, index });
+      deliveries.push({ index, type: destination.type, messageId, success: true });
+    } catch (error) {
+      logger.error('Error sending to destination', { destination: destination.type, index, error });
+      deliveries.push({ index, type: destination.type, messageId: null, success: false, error: error.message });
+    }
+  }
+
+  return deliveries;
+}
+
+// Apply `action` ('update' or 'remove') to each successful delivery of a tracked message.
+// Returns the deliveries that failed; sinks without support for the action are skipped.
+async function applyToDeliveries(action, library, requestId, messageData) {
+  const failed = [];
+  const notification = notificationFromRecord(library, requestId, messageData);
+
+  for (const delivery of messageData.deliveries || []) {
+    const notifier = NOTIFIERS[delivery.type];
+    const destination = library.destinations?.[delivery.index];
+    if (!delivery.success || !notifier?.[action] || !destination) {
+      continue;
+    }
+
+    try {
+      await notifier[action](destinationUrl(destination), delivery, notifier.render(notification));
+    } catch (error) {
+      logger.error('Error updating destination', { action, destination: delivery.type, index: delivery.index, error });
+      failed.push(delivery);
+    }
+  }
+
+  return failed;
+}
+
+export function updateDeliveries(library, requestId, messageData) {
+  return applyToDeliveries('update', library, requestId, messageData);
+}
+
+export function removeDeliveries(library, requestId, messageData) {
+  return applyToDeliveries('remove', library, requestId, messageData);
+}
@@ -0,0 +1,140 @@
+// lib/quiet-hours.js
+
+// Per-library quiet hours, configured as `quietHours`:
+//   { "timezone": "Europe/Berlin", "start": "19:00", "end": "08:00",
+//     "weekends": true, "holidays": ["2026-12-24", "2026-12-25"], "breaking": "silent",
+//     "channels": { "#apac-design": { "timezone": "Asia/Tokyo" }, "#ds-oncall": false } }
+// A publish that lands in quiet hours is scheduled with chat.scheduleMessage for the moment
+// they end. Windows with start after end run overnight; `weekends` and `holidays` (local dates)
+// are quiet all day. With "breaking": "silent", breaking and other critical publishes post
+// right away but without @ mentions. `channels` overrides the settings for one routed
+// channel, and false turns quiet hours off there.
+const SEARCH_DAYS = 14; // Longest run of quiet days we look past for the next window
+const WEEKEND_DAYS = [0, 6];
+
+// Settings that apply to one channel (null for DMs, which use the library-wide settings),
+// or null when it has no quiet hours
+function settingsFor(library, channel) {
+  const { channels = {}, ...settings } = library.quietHours || {};
+  const override = channels[channel];
+  if (!library.quietHours || override === false) {
+    return null;
+  }
+  return { ...settings, ...override };
+}
+
+function minutesOf(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Wall-clock fields of an instant in a time zone
+function localParts(ms, timezone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(ms).map(({ type, value }) => [type, Number(value)]));
+  return { year: parts.year, month: parts.month, day: parts.day, minutes: parts.hour * 60 + parts.minute };
+}
+
+// Instant at which a time-zone's wall clock shows the given date and minutes. The zone's
+// offset is measured at a first guess and again at the result, which covers DST changes.
+function zonedTimeToUtc({ year, month, day }, minutes, timezone) {
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  const offsetAt = ms => {
+    const local = localParts(ms, timezone);
+    return Date.UTC(local.year, local.month - 1, local.day, 0, local.minutes) - Math.floor(ms / 60000) * 60000;
+  };
+  const guess = wallClock - offsetAt(wallClock);
+  return wallClock - offsetAt(guess);
+}
+
+// { year, month, day, weekday, date: 'YYYY-MM-DD' } for a local date plus some days
+function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay(),
+    date: date.toISOString().slice(0, 10)
+  };
+}
+
+function isQuietDay(settings, localDate) {
+  return (settings.weekends && WEEKEND_DAYS.includes(localDate.weekday))
+    || (settings.holidays || []).includes(localDate.date);
+}
+
+function inWindow(settings, minutes) {
+  if (!settings.start || !settings.end) {
+    return false;
+  }
+  const start = minutesOf(settings.start);
+  const end = minutesOf(settings.end);
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+// Why an instant is quiet ('window', 'weekend' or 'holiday'), or null
+function quietReason(settings, ms) {
+  const local = localParts(ms, settings.timezone);
+  const localDate = addDays(local, 0);
+  if ((settings.holidays || []).includes(localDate.date)) {
+    return 'holiday';
+  }
+  if (settings.weekends && WEEKEND_DAYS.includes(localDate.weekday)) {
+    return 'weekend';
+  }
+  return inWindow(settings, local.minutes) ? 'window' : null;
+}
+
+// First instant after `now` outside quiet hours: midnight or the window's end on one of the next days
+function nextAllowed(settings, now) {
+  const today = localParts(now, settings.timezone);
+  const candidates = [0, ...(settings.end ? [minutesOf(settings.end)] : [])];
+
+  for (let offset = 0; offset <= SEARCH_DAYS; offset++) {
+    const localDate = addDays(today, offset);
+    if (isQuietDay(settings, localDate)) {
+      continue;
+    }
+    for (const minutes of candidates) {
+      const ms = zonedTimeToUtc(localDate, minutes, settings.timezone);
+      if (ms > now && !quietReason(settings, ms)) {
+        return ms;
+      }
+    }
+  }
+  return null;
+}
+
+// How to post a publish to a channel right now:
+//   null                      -> post as usual
+//   { postAt, reason }        -> schedule for postAt (ms)
+//   { silent: true, reason }  -> post now without @ mentions
+export function checkQuietHours(library, channel, parsedCommit, now = Date.now()) {
+  const settings = settingsFor(library, channel);
+  const reason = settings ? quietReason(settings, now) : null;
+  if (!reason) {
+    return null;
+  }
+
+  const label = reason === 'window' ? `quiet hours (${settings.start}–${settings.end} ${settings.timezone})` : reason;
+  if (settings.breaking === 'silent' && (parsedCommit.type === 'breaking' || parsedCommit.priority === 'critical')) {
+    return { silent: true, reason: `Posted without mentions during ${label}` };
+  }
+
+  // A calendar that stays quiet past SEARCH_DAYS doesn't hold the publish back
+  const postAt = nextAllowed(settings, now);
+  if (!postAt) {
+    return null;
+  }
+  return { postAt, reason: `Scheduled for ${new Date(postAt).toISOString()} after ${label}` };
+}
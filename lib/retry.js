@@ -0,0 +1,53 @@
+// lib/retry.js
+import { logger } from './logger.js';
+
+
+// Exponential backoff for outbound calls (Slack, Teams, Discord, webhooks).
+// classify(error) decides whether a failure is worth retrying and may ask for a
+// specific delay, e.g. from a Retry-After header:
+//   { retry: false }                  -> give up now (bad channel, invalid auth, ...)
+//   { retry: true, delayMs: 2000 }    -> wait that long, otherwise the backoff delay
+// DELIVERY_MAX_ATTEMPTS (default 4) and DELIVERY_RETRY_BASE_MS (default 500) tune it.
+// A Retry-After longer than MAX_RETRY_DELAY isn't waited out inside one request.
+const DEFAULT_MAX_ATTEMPTS = 4;
+const DEFAULT_BASE_DELAY = 500;
+const MAX_RETRY_DELAY = 30 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export async function withRetry(fn, { label, classify }) {
+  const maxAttempts = Number(process.env.DELIVERY_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+  const baseDelay = Number(process.env.DELIVERY_RETRY_BASE_MS) || DEFAULT_BASE_DELAY;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      const { retry, delayMs } = classify(error);
+      const delay = delayMs ?? baseDelay * 2 ** (attempt - 1);
+      error.attempts = attempt;
+
+      if (!retry || attempt >= maxAttempts || delay > MAX_RETRY_DELAY) {
+        throw error;
+      }
+
+      logger.warn('Retrying failed call', { label, error: error.message, attempt, maxRetries: maxAttempts - 1, delayMs: delay });
+      await sleep(delay);
+    }
+  }
+}
+
+// Seconds from a Retry-After header (or Slack's retryAfter) to milliseconds
+export function retryAfterMs(seconds) {
+  const value = Number(seconds);
+  return Number.isFinite(value) && value >= 0 ? value * 1000 : undefined;
+}
+
+// For plain fetch() calls whose errors carry the response `status` and `retryAfter`
+export function classifyHttpError(error) {
+  if (error.status === 429) {
+    return { retry: true, delayMs: retryAfterMs(error.retryAfter) };
+  }
+  // No status means the request never completed (timeout, DNS, connection reset)
+  return { retry: !error.status || error.status >= 500 };
+}
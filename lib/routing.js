@@ -0,0 +1,58 @@
+// lib/routing.js
+
+// Per-library routing of publishes to extra (or alternative) channels, configured
+// as `rules.routes`. Each route lists conditions and the channels to post to:
+//   { "types": ["breaking"], "channels": ["#ds-breaking"] }
+//   { "components": ["Button*"], "channels": ["#checkout-design"] }
+//   { "scopes": ["checkout"], "priorities": ["critical"], "channels": ["#checkout-design"], "replace": true }
+// Every condition on a route must match; a condition matches when any of its values does.
+// "replace": true sends to the route's channels instead of the library channel.
+
+// "Button*" -> /^Button.*$/i
+function componentPattern(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+// True when any name matches any of the wildcard patterns (also used by DM subscriptions)
+export function matchesComponentPatterns(patterns, names) {
+  const regexes = patterns.map(componentPattern);
+  return names.some(name => regexes.some(regex => regex.test(name)));
+}
+
+// Every type a publish carries: each `type:` section's, plus `breaking` for BREAKING CHANGE notes
+function publishTypes({ type, sections = [], isBreaking }) {
+  const types = [type, ...sections.map(section => section.type)];
+  return isBreaking ? [...types, 'breaking'] : types;
+}
+
+function routeMatches(route, parsedCommit) {
+  const { scope, components = [], priority } = parsedCommit;
+
+  if (route.types && !publishTypes(parsedCommit).some(type => route.types.includes(type))) {
+    return false;
+  }
+  if (route.scopes && !route.scopes.some(candidate => candidate.toLowerCase() === scope?.toLowerCase())) {
+    return false;
+  }
+  if (route.components && !matchesComponentPatterns(route.components, components)) {
+    return false;
+  }
+  if (route.priorities && !route.priorities.includes(priority)) {
+    return false;
+  }
+  return true;
+}
+
+// Every channel a publish should be posted to, library channel first unless a matching route replaces it
+export function resolveChannels(library, parsedCommit) {
+  const matched = (library.rules?.routes || []).filter(route => routeMatches(route, parsedCommit));
+  const replaced = matched.some(route => route.replace);
+
+  const channels = replaced ? [] : [library.channel];
+  for (const route of matched) {
+    channels.push(...route.channels);
+  }
+
+  return [...new Set(channels)];
+}
@@ -0,0 +1,70 @@
+// lib/slack-auth.js
+import crypto from 'crypto';
+import { safeCompare, readStream } from './webhook-auth.js';
+
+// Verifies requests Slack sends to our interactivity and slash command routes
+// using the app's signing secret (SLACK_SIGNING_SECRET).
+// https://api.slack.com/authentication/verifying-requests-from-slack
+const MAX_AGE_SECONDS = 5 * 60;
+
+// Slack signs the exact form-encoded body, so routes that verify it disable Vercel's body parser
+// (`export const config = { api: { bodyParser: false } }`). A body that was already parsed into
+// an object can't be verified: re-encoding it doesn't reliably reproduce the signed bytes.
+// Returns null in that case.
+export async function readRawBody(req) {
+  if (req.rawBody) {
+    return req.rawBody.toString();
+  }
+
+  const streamed = await readStream(req);
+  if (streamed) {
+    return streamed.toString();
+  }
+
+  if (typeof req.body === 'string' || Buffer.isBuffer(req.body)) {
+    return req.body.toString();
+  }
+  return null;
+}
+
+// Returns { ok: true, params } with the parsed form body, or { ok: false, code, message }
+export async function verifySlackRequest(req) {
+  const signingSecret = process.env.SLACK_SIGNING_SECRET;
+  if (!signingSecret) {
+    return { ok: false, code: 'missing_secret', message: 'SLACK_SIGNING_SECRET is not configured' };
+  }
+
+  const timestamp = req.headers?.['x-slack-request-timestamp'];
+  const signature = req.headers?.['x-slack-signature'];
+  if (!timestamp || !signature) {
+    return { ok: false, code: 'missing_signature', message: 'Slack signature headers missing' };
+  }
+
+  const ageSeconds = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+  if (!(ageSeconds <= MAX_AGE_SECONDS)) {
+    return { ok: false, code: 'stale_timestamp', message: `Request timestamp is ${ageSeconds}s old` };
+  }
+
+  const rawBody = await readRawBody(req);
+  if (rawBody === null) {
+    return { ok: false, code: 'parsed_body', message: 'Request body was parsed before it could be verified' };
+  }
+  const expected = 'v0=' + crypto
+    .createHmac('sha256', signingSecret)
+    .update(`v0:${timestamp}:${rawBody}`)
+    .digest('hex');
+
+  if (!safeCompare(signature, expected)) {
+    return { ok: false, code: 'invalid_signature', message: 'Slack signature does not match' };
+  }
+
+  return { ok: true, params: new URLSearchParams(rawBody) };
+}
+
+// Slack user IDs with admin rights in the bot (SLACK_ADMIN_USER_IDS, comma-separated)
+export function isSlackAdmin(userId) {
+  return (process.env.SLACK_ADMIN_USER_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .includes(userId);
+}
@@ -0,0 +1,819 @@
+// lib/slack.js
+import { WebClient, ErrorCode } from '@slack/web-api';
+import { MENTION_GROUPS, PRIORITY_MENTION, LIBRARY_CONFIG } from './config.js';
+import { getStore } from './storage.js';
+import { resolveChannels } from './routing.js';
+import { updateDeliveries, removeDeliveries } from './notifiers.js';
+import { withRetry, retryAfterMs } from './retry.js';
+import { markHistoryDevComplete } from './history.js';
+import { renderTypeTemplate } from './commit-types.js';
+import { logger } from './logger.js';
+import { timeCall } from './metrics.js';
+import { checkQuietHours } from './quiet-hours.js';
+import { linkTickets } from './tickets.js';
+
+// Retries are handled by callSlack() so they fit in one function invocation
+// (the client's defaults can wait for up to half an hour on rate limits).
+export const slack = new WebClient(process.env.SLACK_BOT_TOKEN, {
+  retryConfig: { retries: 0 },
+  rejectRateLimitedCalls: true
+});
+
+// Platform errors (channel_not_found, not_in_channel, invalid_auth, ...) won't succeed on retry
+function classifySlackError(error) {
+  switch (error.code) {
+    case ErrorCode.RateLimitedError:
+      return { retry: true, delayMs: retryAfterMs(error.retryAfter) };
+    case ErrorCode.HTTPError:
+      return { retry: error.statusCode >= 500 || error.statusCode === 429 };
+    case ErrorCode.RequestError:
+      return { retry: true };
+    default:
+      return { retry: false };
+  }
+}
+
+// Run a Web API call with backoff for rate limits and transient failures
+export function callSlack(label, fn) {
+  return timeCall('slack_api_calls_total', 'slack_api_duration_seconds', { method: label },
+    () => withRetry(fn, { label: `Slack ${label}`, classify: classifySlackError }));
+}
+
+const store = getStore();
+
+// Message tracking for deletion, buttons and follow-ups (requestId -> { channel, timestamp, messageId, ... }).
+// `[dev-complete]` follow-ups can arrive weeks after the original, so records are kept for
+// SENT_MESSAGE_RETENTION_DAYS (default 90 days).
+const DEFAULT_MESSAGE_RETENTION_DAYS = 90;
+const DAY = 24 * 60 * 60 * 1000;
+
+function messageRetention() {
+  return (Number(process.env.SENT_MESSAGE_RETENTION_DAYS) || DEFAULT_MESSAGE_RETENTION_DAYS) * DAY;
+}
+
+const DEV_STATUS_PENDING = '`🟡 Development`';
+const DEV_STATUS_COMPLETE = '`🟢 Development`';
+
+// The @ mentions section at the top of a publish, left out of copies posted during quiet hours
+const MENTIONS_BLOCK_ID = 'mentions';
+
+// The Acknowledge / Mark dev complete / Undo buttons (see api/slack-interactions.js)
+export const ACTIONS_BLOCK_ID = 'notification_actions';
+
+export async function deleteSlackMessage(channel, timestamp) {
+  try {
+    const result = await callSlack('chat.delete', () => slack.chat.delete({
+      channel: channel,
+      ts: timestamp
+    }));
+    
+    if (result.ok) {
+      logger.info('Deleted Slack message', { channel, timestamp });
+      return result;
+    } else {
+      logger.error('Failed to delete Slack message', { channel, timestamp, slackError: result.error });
+      return null;
+    }
+  } catch (error) {
+    logger.error('Error deleting Slack message', { channel, timestamp, error });
+    return null;
+  }
+}
+
+// Every Slack message posted for a request. Publishes routed to several channels keep
+// one entry per copy in `posts`; older and single-channel records only have the top-level fields.
+export function messagePosts(messageData) {
+  return messageData.posts || [{
+    channel: messageData.channel,
+    channelId: messageData.channelId,
+    timestamp: messageData.timestamp,
+    threadTs: messageData.threadTs || null
+  }];
+}
+
+function withoutMentions(blocks) {
+  return blocks.filter(block => block.block_id !== MENTIONS_BLOCK_ID);
+}
+
+// A copy scheduled for after quiet hours that Slack hasn't posted yet
+function isPendingPost(post) {
+  return !post.timestamp && !!post.scheduledMessageId && post.postAt > Date.now();
+}
+
+// Scheduled copies only get a timestamp once Slack posts them. Look it up by the bot's
+// message with the same text, posted from the scheduled time on (in the thread for follow-ups).
+async function settleScheduledPost(post, text) {
+  if (post.timestamp || !post.scheduledMessageId || isPendingPost(post)) {
+    return post;
+  }
+  
+  const channel = post.channelId || post.channel;
+  const oldest = String(Math.floor(post.postAt / 1000) - 60);
+  try {
+    const result = post.threadTs
+      ? await callSlack('conversations.replies', () => slack.conversations.replies({ channel, ts: post.threadTs, oldest }))
+      : await callSlack('conversations.history', () => slack.conversations.history({ channel, oldest, limit: 100 }));
+    const message = (result.messages || []).find(candidate => candidate.bot_id && candidate.text === text);
+    if (message) {
+      return { ...post, timestamp: message.ts };
+    }
+  } catch (error) {
+    logger.error('Error looking up scheduled Slack message', { channel, scheduledMessageId: post.scheduledMessageId, error });
+  }
+  logger.warn('Scheduled Slack message not found', { channel, scheduledMessageId: post.scheduledMessageId });
+  return post;
+}
+
+async function deleteScheduledMessage(channel, scheduledMessageId) {
+  try {
+    const result = await callSlack('chat.deleteScheduledMessage', () => slack.chat.deleteScheduledMessage({
+      channel,
+      scheduled_message_id: scheduledMessageId
+    }));
+    logger.info('Cancelled scheduled Slack message', { channel, scheduledMessageId });
+    return result;
+  } catch (error) {
+    logger.error('Error cancelling scheduled Slack message', { channel, scheduledMessageId, error });
+    return null;
+  }
+}
+
+// Cancel subscription DMs (lib/subscriptions.js) that are still scheduled for after quiet hours.
+// DMs that already went out stay. Returns the ones that couldn't be cancelled.
+async function cancelScheduledDms(scheduledDms) {
+  const failed = [];
+  for (const dm of scheduledDms) {
+    if (isPendingPost(dm) && !(await deleteScheduledMessage(dm.channelId, dm.scheduledMessageId))) {
+      failed.push(dm);
+    }
+  }
+  return failed;
+}
+
+// Cancel a copy that's still scheduled, otherwise delete the posted message
+async function deletePost(post, text) {
+  const channel = post.channelId || post.channel;
+  if (isPendingPost(post)) {
+    return deleteScheduledMessage(channel, post.scheduledMessageId);
+  }
+  const settled = await settleScheduledPost(post, text);
+  return settled.timestamp ? deleteSlackMessage(channel, settled.timestamp) : null;
+}
+
+// Delete a message (every routed copy, plus its Teams/Discord/webhook deliveries) by request ID
+export async function deleteMessageByRequestId(requestId) {
+  const messageData = await store.get('sentMessages', requestId);
+  if (!messageData) {
+    logger.warn('No sent message for request', { requestId });
+    return { success: false, reason: 'Message not found in cache', details: `RequestId ${requestId} not tracked` };
+  }
+  
+  const posts = messagePosts(messageData);
+  const remaining = [];
+  for (const post of posts) {
+    if (!(await deletePost(post, messageData.text))) {
+      remaining.push(post);
+    }
+  }
+  
+  const library = LIBRARY_CONFIG[messageData.fileKey];
+  const failedDeliveries = library ? await removeDeliveries(library, requestId, messageData) : [];
+  const failedDms = await cancelScheduledDms(messageData.scheduledDms || []);
+  
+  if (remaining.length === 0 && failedDeliveries.length === 0 && failedDms.length === 0) {
+    await store.delete('sentMessages', requestId);
+    logger.info('Deleted sent message', { requestId, posts: posts.length });
+    return { success: true, reason: 'Message deleted successfully' };
+  }
+  
+  // Keep tracking the copies that still exist so the delete can be retried
+  if (remaining.length === 0) {
+    await updateSentMessage(requestId, { ...messageData, posts: [], deliveries: failedDeliveries, scheduledDms: failedDms });
+    const failedTargets = failedDeliveries.map(delivery => delivery.type);
+    if (failedDms.length > 0) {
+      failedTargets.push(`${failedDms.length} scheduled subscription DM(s)`);
+    }
+    return {
+      success: false,
+      reason: 'Destination deletion failed',
+      details: `Slack messages deleted, but ${failedTargets.join(', ')} could not be`
+    };
+  }
+  if (remaining.length < posts.length || failedDms.length < (messageData.scheduledDms || []).length) {
+    await updateSentMessage(requestId, { ...messageData, ...remaining[0], posts: remaining, deliveries: failedDeliveries, scheduledDms: failedDms });
+  }
+  
+  return {
+    success: false,
+    reason: 'Slack deletion failed',
+    details: `${remaining.length} of ${posts.length} message(s) exist but could not be deleted from Slack`
+  };
+}
+
+// Records are kept for the message retention after sending, or after the last scheduled copy goes out
+function retentionLeft(data) {
+  return messageRetention() - (Date.now() - Math.max(data.sentAt, data.scheduledUntil || 0));
+}
+
+// Store message details for potential deletion
+async function trackSentMessage(requestId, data) {
+  const record = { ...data, messageId: data.timestamp, sentAt: Date.now() };
+  await store.set('sentMessages', requestId, record, retentionLeft(record));
+  logger.debug('Tracked sent message', { requestId, channel: data.channel, timestamp: data.timestamp });
+}
+
+// Find the most recent top-level message in a channel for the same file, type and components/scope.
+// Returns { original, post } where post is the original's copy in that channel.
+async function findOriginalMessage(channel, fileKey, parsedCommit) {
+  const { type, scope, components } = parsedCommit;
+  if (!scope && components.length === 0) {
+    return null;
+  }
+  
+  const candidates = (await getSentMessages())
+    .filter(msg => msg.fileKey === fileKey && msg.commitType === type)
+    .filter(msg => scope
+      ? msg.scope === scope
+      : (msg.components || []).some(component => components.includes(component)))
+    .sort((a, b) => b.sentAt - a.sentAt);
+  
+  for (const original of candidates) {
+    const post = messagePosts(original).find(candidate => candidate.channel === channel && !candidate.threadTs && candidate.timestamp);
+    if (post) {
+      return { original, post };
+    }
+  }
+  return null;
+}
+
+// Interactive buttons are only added when the interactivity route can verify Slack's requests
+function isInteractivityEnabled() {
+  return !!process.env.SLACK_SIGNING_SECRET;
+}
+
+// Append the review line and action buttons (see api/slack-interactions.js) to a message's content blocks
+export function renderMessageBlocks(blocks, requestId, { isDevComplete, acknowledgedBy = [] }) {
+  const rendered = [...blocks];
+  
+  if (acknowledgedBy.length > 0) {
+    rendered.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `👀 Reviewed by ${acknowledgedBy.map(userId => `<@${userId}>`).join(', ')}` }]
+    });
+  }
+  
+  if (!requestId || !isInteractivityEnabled()) {
+    return rendered;
+  }
+  
+  const buttons = [{
+    type: 'button',
+    action_id: 'acknowledge',
+    text: { type: 'plain_text', text: '👀 Acknowledge' },
+    value: requestId
+  }];
+  
+  if (!isDevComplete) {
+    buttons.push({
+      type: 'button',
+      action_id: 'mark_dev_complete',
+      text: { type: 'plain_text', text: '🟢 Mark dev complete' },
+      value: requestId
+    });
+  }
+  
+  buttons.push({
+    type: 'button',
+    action_id: 'undo',
+    style: 'danger',
+    text: { type: 'plain_text', text: '↩️ Undo' },
+    value: requestId,
+    confirm: {
+      title: { type: 'plain_text', text: 'Delete this notification?' },
+      text: { type: 'mrkdwn', text: 'The message will be removed from the channel.' },
+      confirm: { type: 'plain_text', text: 'Delete' },
+      deny: { type: 'plain_text', text: 'Cancel' }
+    }
+  });
+  
+  rendered.push({ type: 'actions', block_id: ACTIONS_BLOCK_ID, elements: buttons });
+  return rendered;
+}
+
+// Re-render one copy: posted messages are updated in place, ones still scheduled are
+// cancelled and scheduled again with the new blocks (Slack can't edit scheduled messages)
+async function refreshPost(post, text, blocks) {
+  const channel = post.channelId || post.channel;
+  const postBlocks = post.silent ? withoutMentions(blocks) : blocks;
+  
+  if (isPendingPost(post)) {
+    await callSlack('chat.deleteScheduledMessage', () => slack.chat.deleteScheduledMessage({
+      channel,
+      scheduled_message_id: post.scheduledMessageId
+    }));
+    const result = await callSlack('chat.scheduleMessage', () => slack.chat.scheduleMessage({
+      channel,
+      text,
+      blocks: postBlocks,
+      post_at: Math.floor(post.postAt / 1000),
+      ...(post.threadTs ? { thread_ts: post.threadTs } : {})
+    }));
+    return { ...post, scheduledMessageId: result.scheduled_message_id };
+  }
+  
+  const settled = await settleScheduledPost(post, text);
+  if (!settled.timestamp) {
+    return settled;
+  }
+  await callSlack('chat.update', () => slack.chat.update({ channel, ts: settled.timestamp, text, blocks: postBlocks }));
+  return settled;
+}
+
+// Re-render every copy of a tracked message after its stored state changed
+async function refreshMessage(requestId, messageData) {
+  const blocks = renderMessageBlocks(messageData.blocks, requestId, messageData);
+  const posts = [];
+  for (const post of messagePosts(messageData)) {
+    posts.push(await refreshPost(post, messageData.text, blocks));
+  }
+  await updateSentMessage(requestId, messageData.posts ? { ...messageData, ...posts[0], posts } : messageData);
+}
+
+// Update a posted notification's footer from 🟡 Development to 🟢 Development in place
+export async function markMessageDevComplete(requestId) {
+  const messageData = await store.get('sentMessages', requestId);
+  if (!messageData?.blocks) {
+    return { success: false, reason: 'Message not found in cache' };
+  }
+  if (messageData.isDevComplete) {
+    return { success: true, reason: 'Already marked dev complete' };
+  }
+  
+  const blocks = messageData.blocks.map(block => block.type !== 'context' ? block : {
+    ...block,
+    elements: block.elements.map(element => ({
+      ...element,
+      text: element.text.replace(DEV_STATUS_PENDING, DEV_STATUS_COMPLETE)
+    }))
+  });
+  
+  const updated = { ...messageData, blocks, isDevComplete: true };
+  try {
+    await refreshMessage(requestId, updated);
+  } catch (error) {
+    logger.error('Error updating dev status', { requestId, error });
+    return { success: false, reason: 'Slack update failed', details: error.message };
+  }
+  
+  // Discord and webhook destinations get the new status too; failures there are only logged
+  const library = LIBRARY_CONFIG[messageData.fileKey];
+  if (library) {
+    await updateDeliveries(library, requestId, updated);
+  }
+  await markHistoryDevComplete(requestId);
+  
+  logger.info('Marked dev complete', { requestId, timestamp: messageData.timestamp });
+  return { success: true, reason: 'Message marked dev complete' };
+}
+
+// Record that a Slack user has reviewed a notification and show it on the message
+export async function acknowledgeMessage(requestId, userId) {
+  const messageData = await store.get('sentMessages', requestId);
+  if (!messageData?.blocks) {
+    return { success: false, reason: 'Message not found in cache' };
+  }
+  
+  const acknowledgedBy = messageData.acknowledgedBy || [];
+  if (acknowledgedBy.includes(userId)) {
+    return { success: true, reason: 'Already acknowledged' };
+  }
+  
+  try {
+    await refreshMessage(requestId, { ...messageData, acknowledgedBy: [...acknowledgedBy, userId] });
+  } catch (error) {
+    logger.error('Error recording acknowledgement', { requestId, error });
+    return { success: false, reason: 'Slack update failed', details: error.message };
+  }
+  
+  logger.info('Message acknowledged', { requestId, userId, timestamp: messageData.timestamp });
+  return { success: true, reason: 'Acknowledged' };
+}
+
+// Replace a stored message record without extending its original retention
+export async function updateSentMessage(requestId, data) {
+  const remaining = retentionLeft(data);
+  if (remaining > 0) {
+    await store.set('sentMessages', requestId, data, remaining);
+  }
+}
+
+// Attach the results of Teams/Discord/webhook delivery (lib/notifiers.js) to a tracked publish
+export async function recordDeliveries(requestId, deliveries) {
+  const messageData = await store.get('sentMessages', requestId);
+  if (messageData && deliveries.length > 0) {
+    await updateSentMessage(requestId, { ...messageData, deliveries });
+  }
+}
+
+// Attach subscription DMs scheduled for after quiet hours (lib/subscriptions.js) to a tracked
+// publish, so deleting it cancels them: [{ userId, channelId, scheduledMessageId, postAt }]
+export async function recordScheduledDms(requestId, scheduledDms) {
+  const messageData = await store.get('sentMessages', requestId);
+  if (messageData && scheduledDms.length > 0) {
+    await updateSentMessage(requestId, { ...messageData, scheduledDms });
+  }
+}
+
+// Get all sent messages (for debugging/management)
+export async function getSentMessages() {
+  return (await store.entries('sentMessages')).map(([requestId, data]) => ({
+    requestId,
+    ...data
+  }));
+}
+
+// Get sent message by request ID
+export async function getSentMessage(requestId) {
+  return store.get('sentMessages', requestId);
+}
+
+const CHANGE_PREVIEW_LIMIT = 5; // Names shown per created/modified/deleted group
+const CHANGE_KIND_ICONS = { created: '➕', modified: '✏️', deleted: '➖' };
+
+// Deep link to the node when the Figma API knows it (published components, matched by key),
+// otherwise just the name
+function formatChangeItem(item, fileKey, nodeIds) {
+  const nodeId = nodeIds.get(item.key);
+  if (nodeId) {
+    return `<https://www.figma.com/file/${fileKey}?node-id=${encodeURIComponent(nodeId)}|${item.name}>`;
+  }
+  return `\`${item.name}\``;
+}
+
+// Render the publish's asset changes as a summary line plus the first few names per group.
+// `publishedComponents` is the Figma API component metadata from fetchPublishDetails, if any.
+function formatLibraryChanges(changes, fileKey, publishedComponents = []) {
+  if (!changes) {
+    return null;
+  }
+  
+  const nodeIds = new Map(publishedComponents.filter(component => component.node_id).map(component => [component.key, component.node_id]));
+  const lines = ['*Library changes*'];
+  
+  for (const [group, kinds] of Object.entries(changes)) {
+    const counts = Object.entries(kinds)
+      .filter(([, items]) => items.length > 0)
+      .map(([kind, items]) => `${CHANGE_KIND_ICONS[kind]} ${items.length} ${kind}`);
+    
+    if (counts.length === 0) {
+      continue;
+    }
+    
+    lines.push(`*${group.charAt(0).toUpperCase()}${group.slice(1)}:* ${counts.join(' · ')}`);
+    
+    for (const [kind, items] of Object.entries(kinds)) {
+      if (items.length === 0) {
+        continue;
+      }
+      const names = items.slice(0, CHANGE_PREVIEW_LIMIT).map(item => formatChangeItem(item, fileKey, nodeIds));
+      const more = items.length > CHANGE_PREVIEW_LIMIT ? ` +${items.length - CHANGE_PREVIEW_LIMIT} more` : '';
+      lines.push(`${CHANGE_KIND_ICONS[kind]} ${names.join(', ')}${more}`);
+    }
+  }
+  
+  return lines.length > 1 ? lines.join('\n') : null;
+}
+
+const NOTE_HEADINGS = { breaking: '🚨 BREAKING CHANGE', migration: '🧭 Migration' };
+
+// *✨ Feature (scope)* or *🐛 Fix: `Button`, `Input`* for a parsed type section
+function formatSectionTitle({ commitType, scope, components }) {
+  let title = `*${commitType.emoji} ${commitType.label}`;
+  if (scope) {
+    title += ` (${scope})`;
+  } else if (components && components.length > 0) {
+    const formattedComponents = components.map(comp => `\`${comp}\``).join(', ');
+    title += `: ${formattedComponents}`;
+  }
+  return `${title}*`;
+}
+
+// "• item" lines, with nested items indented under their parent as "◦ item"
+function formatBullets(bullets, library) {
+  return bullets
+    .map(({ text, depth }) => `${'    '.repeat(depth)}${depth > 0 ? '◦' : '•'} ${linkTickets(text, library)}`)
+    .join('\n');
+}
+
+// "BREAKING CHANGE:" and "Migration:" notes as a quoted block under the message
+function formatNote({ kind, text }, library) {
+  return [`*${NOTE_HEADINGS[kind]}*`, ...(text ? linkTickets(text, library).split('\n') : [])]
+    .map(line => `> ${line}`)
+    .join('\n');
+}
+
+// "Published by" shows a real mention once the publisher is mapped to a Slack user (lib/mentions.js)
+export function formatPublisher(publishedBy, publisherSlackId) {
+  return publisherSlackId ? `<@${publisherSlackId}>` : `*${publishedBy}*`;
+}
+
+// Build the chat.postMessage payload for a publish without sending it.
+// `mentions` maps [@name] mentions to Slack mentions resolved by lib/mentions.js;
+// names it doesn't cover fall back to MENTION_GROUPS and then plain @name text.
+// Returns the payload plus its content blocks (without buttons) for tracking.
+export function buildSlackNotification({ library, fileKey, publishedBy, publisherSlackId, parsedCommit, requestId, details, release, mentions: resolvedMentions = {}, channel = library.channel }) {
+  const figmaUrl = `https://www.figma.com/file/${fileKey}`;
+  const { message, bulletPoints, commitType, isDevComplete, mentions, sections = [], notes = [] } = parsedCommit;
+  
+  // Create title with emoji and type as a large markdown section (or the type's own template)
+  let title = commitType.template
+    ? linkTickets(renderTypeTemplate(commitType.template, { parsedCommit, library }), library)
+    : formatSectionTitle(parsedCommit);
+  if (release) {
+    title += ` \`v${release.version}\``;
+  }
+  
+  const blocks = [];
+  
+  // Check if this is a priority message (priority flag, breaking change or deleted components)
+  const isPriority = parsedCommit.type === 'breaking' || parsedCommit.priority === 'critical' || /\[priority\]/i.test(parsedCommit.raw);
+  
+  // Build mentions array starting with priority mentions
+  let allMentions = [];
+  
+  // Add automatic priority mention (the config's priorityMention group) if this is a priority message
+  if (isPriority && PRIORITY_MENTION) {
+    allMentions.push(`${MENTION_GROUPS[PRIORITY_MENTION]} - ⚠️ PLEASE REVIEW ⚠️`);
+  }
+  
+  // Add explicit mentions from the commit message
+  if (mentions && mentions.length > 0) {
+    const explicitMentions = mentions
+      .map(mention => resolvedMentions[mention] || MENTION_GROUPS[mention] || `@${mention}`)
+      .join(' ');
+    allMentions.push(explicitMentions);
+  }
+  
+  // Add all mentions at the very top if any exist
+  if (allMentions.length > 0) {
+    blocks.push({
+      type: 'section',
+      block_id: MENTIONS_BLOCK_ID,
+      text: {
+        type: 'mrkdwn',
+        text: allMentions.join('\n')
+      }
+    });
+  }
+  
+  // Add the main title
+  blocks.push({
+    type: 'section',
+    text: {
+      type: 'mrkdwn',
+      text: title
+    }
+  });
+  
+  // If we have bullet points, show them as a list (nested bullets keep their depth)
+  const bullets = parsedCommit.bullets || (bulletPoints || []).map(text => ({ text, depth: 0 }));
+  if (bullets.length > 0) {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: formatBullets(bullets, library)
+      }
+    });
+  } else {
+    // Fallback to regular message display
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*${linkTickets(message, library)}*`
+      }
+    });
+  }
+  
+  // Further `fix:`/`feat:` sections of the same publish, each under its own heading
+  for (const section of sections.slice(1)) {
+    const lines = [
+      formatSectionTitle(section),
+      section.isComponentList ? null : linkTickets(section.message, library),
+      section.bullets.length > 0 ? formatBullets(section.bullets, library) : null
+    ];
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: lines.filter(Boolean).join('\n')
+      }
+    });
+  }
+  
+  // BREAKING CHANGE / Migration notes stand out as quoted blocks
+  for (const note of notes) {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: formatNote(note, library)
+      }
+    });
+  }
+  
+  // Created/modified/deleted assets reported by Figma. Long sections collapse behind "See more".
+  const changesText = formatLibraryChanges(parsedCommit.changes, fileKey, details?.components);
+  if (changesText) {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: changesText
+      },
+      expand: false
+    });
+  }
+  
+  // Thumbnails of the changed components, when the Figma API lookup succeeded
+  for (const thumbnail of details?.thumbnails || []) {
+    blocks.push({
+      type: 'image',
+      image_url: thumbnail.url,
+      alt_text: thumbnail.name,
+      title: {
+        type: 'plain_text',
+        text: thumbnail.name
+      }
+    });
+  }
+  
+  // Context footer with status
+  const designStatus = '`🟢 Design`';
+  const devStatus = isDevComplete ? DEV_STATUS_COMPLETE : DEV_STATUS_PENDING;
+  const versionLink = details?.versionUrl
+    ? ` • <${details.versionUrl}|${details.version.label || 'View version'}>`
+    : '';
+  const releaseText = !release ? ''
+    : release.bump ? ` • v${release.previous} → v${release.version}` : ` • v${release.version}`;
+  
+  blocks.push({
+    type: 'context',
+    elements: [
+      {
+        type: 'mrkdwn',
+        text: `Published by ${formatPublisher(publishedBy, publisherSlackId)} in *${library.name}*${releaseText} • <${figmaUrl}|View in Figma>${versionLink} • ${designStatus} ${devStatus}`
+      }
+    ]
+  });
+  
+  const message_payload = {
+    channel,
+    text: `${commitType.emoji} ${commitType.label}: ${message}`,
+    blocks: renderMessageBlocks(blocks, requestId, { isDevComplete }),
+    // Color bar from the commit type's `color`
+    ...(commitType.color ? { attachments: [{ color: commitType.color, blocks: [] }] } : {})
+  };
+  
+  return { payload: message_payload, blocks, isPriority };
+}
+
+// Post a publish to every routed channel (or only `channels`, when replaying the ones that failed).
+// Returns { posts, failed: [{ channel, error }] }. Throws only when no copy could be posted.
+export async function sendSlackNotification({ library, fileKey, publishedBy, publisherSlackId, parsedCommit, reason, requestId, details, release, mentions, channels: onlyChannels }) {
+  const { type, scope, components, isDevComplete, message, bulletPoints, priority } = parsedCommit;
+  const { payload: message_payload, blocks, isPriority } = buildSlackNotification({
+    library,
+    fileKey,
+    publishedBy,
+    publisherSlackId,
+    parsedCommit,
+    requestId,
+    details,
+    release,
+    mentions
+  });
+  
+  // Routing rules can fan one publish out to several channels
+  const channels = onlyChannels || resolveChannels(library, parsedCommit);
+  const followUps = library.followUps;
+  const posts = [];
+  const failed = [];
+  const originals = new Map();
+  
+  for (const channel of channels) {
+    // Quiet hours hold the copy back until they end, or post it without mentions
+    const quiet = checkQuietHours(library, channel, parsedCommit);
+    const payload = { ...message_payload, channel };
+    if (quiet?.silent) {
+      payload.blocks = withoutMentions(payload.blocks);
+    }
+    
+    // Follow-up publishes for the same components go into the original's thread in each channel
+    const match = followUps ? await findOriginalMessage(channel, fileKey, parsedCommit) : null;
+    if (match && followUps.thread) {
+      payload.thread_ts = match.post.timestamp;
+      payload.reply_broadcast = !!followUps.broadcastPriority && isPriority;
+      logger.info('Threading follow-up publish', { type, channel, threadTs: match.post.timestamp, originalRequestId: match.original.requestId });
+    }
+    if (match) {
+      originals.set(match.original.requestId, match.original);
+    }
+    
+    // One failing channel shouldn't stop the copies to the others
+    try {
+      if (quiet?.postAt) {
+        const result = await callSlack('chat.scheduleMessage', () => slack.chat.scheduleMessage({ ...payload, post_at: Math.floor(quiet.postAt / 1000) }));
+        logger.info('Scheduled Slack notification', { type, channel, reason: quiet.reason, scheduledMessageId: result.scheduled_message_id });
+        if (result.ok) {
+          posts.push({
+            channel,
+            channelId: result.channel,
+            timestamp: null,
+            threadTs: payload.thread_ts || null,
+            scheduledMessageId: result.scheduled_message_id,
+            postAt: quiet.postAt
+          });
+        }
+        continue;
+      }
+      
+      const result = await callSlack('chat.postMessage', () => slack.chat.postMessage(payload));
+      logger.info('Sent Slack notification', { type, channel, timestamp: result.ts, ...(quiet ? { reason: quiet.reason } : {}) });
+      if (result.ok) {
+        posts.push({ channel, channelId: result.channel, timestamp: result.ts, threadTs: payload.thread_ts || null, ...(quiet?.silent ? { silent: true } : {}) });
+      }
+    } catch (error) {
+      logger.error('Error sending Slack message', { channel, error });
+      failed.push({ channel, error });
+    }
+  }
+  
+  if (posts.length === 0 && failed.length > 0) {
+    throw failed.at(-1).error;
+  }
+  
+  // Store every copy for potential deletion and follow-up matching. Replayed channels join the
+  // copies that went out the first time.
+  const existing = requestId && onlyChannels ? await store.get('sentMessages', requestId) : null;
+  const scheduledUntil = Math.max(existing?.scheduledUntil || 0, ...posts.map(post => post.postAt || 0));
+  if (existing && posts.length > 0) {
+    await updateSentMessage(requestId, {
+      ...existing,
+      posts: [...messagePosts(existing), ...posts],
+      ...(scheduledUntil ? { scheduledUntil } : {})
+    });
+  } else if (requestId && posts.length > 0) {
+    await trackSentMessage(requestId, {
+      ...posts[0],
+      posts,
+      ...(scheduledUntil ? { scheduledUntil } : {}),
+      fileKey: fileKey,
+      commitType: type,
+      scope,
+      components,
+      isDevComplete,
+      publishedBy,
+      publisherSlackId: publisherSlackId || null,
+      acknowledgedBy: [],
+      text: message_payload.text,
+      blocks,
+      // Enough of the commit to re-render it for other destinations (lib/notifiers.js)
+      commit: { message, bulletPoints, priority }
+    });
+  }
+  
+  // Flip the originals' footers once development catches up
+  if (followUps?.updateOriginal && isDevComplete) {
+    for (const original of originals.values()) {
+      if (!original.isDevComplete) {
+        await markMessageDevComplete(original.requestId);
+      }
+    }
+  }
+  
+  return { posts, failed };
+}
+
+// Post a message for a non-publish event (built by its template in lib/events.js)
+export async function postEventMessage({ channel, text, blocks, requestId, fileKey, eventType }) {
+  try {
+    const result = await callSlack('chat.postMessage', () => slack.chat.postMessage({ channel, text, blocks }));
+    logger.info('Sent Slack notification', { type: eventType, channel, timestamp: result.ts });
+    
+    if (requestId && result.ok) {
+      await trackSentMessage(requestId, {
+        channel,
+        timestamp: result.ts,
+        fileKey,
+        eventType
+      });
+    }
+    
+    return result;
+  } catch (error) {
+    logger.error('Error sending Slack message', { type: eventType, channel, error });
+    throw error;
+  }
+}
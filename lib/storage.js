@@ -0,0 +1,326 @@
+// lib/storage.js
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+// Key/value storage with per-entry TTLs, split into namespaces
+// ('requests', 'rateLimits', 'sentMessages', ...).
+//
+// Every backend implements the same async interface:
+//   get(namespace, key)               -> value or null
+//   set(namespace, key, value, ttlMs) -> stores value, expiring after ttlMs (omit to keep forever)
+//   delete(namespace, key)            -> true if something was removed
+//   entries(namespace)                -> [[key, value], ...] of unexpired entries
+//
+// Select a backend with STORAGE_BACKEND=memory|file|redis:
+//   memory - per process, lost on restart
+//   file   - STORAGE_FILE_PATH, shared by processes on one host through an O_EXCL lockfile.
+//            On Vercel each instance has its own /tmp, so it isn't shared there.
+//   redis  - Redis over the Upstash REST API (Vercel KV), shared by every instance. The
+//            default when KV_REST_API_URL is set, and required on Vercel.
+// Backends have `shared: true` when every instance sees the same state.
+
+const SWEEP_INTERVAL = 60 * 1000; // How often the memory store drops a namespace's expired entries
+const LOCK_RETRY_MS = 10;
+const LOCK_STALE_MS = 10 * 1000; // A lock this old was left by a process that died mid-write
+const LOCK_TIMEOUT_MS = 5 * 1000;
+const REDIS_TIMEOUT_MS = 3000;
+const REDIS_SCAN_COUNT = 500;
+const REDIS_MGET_BATCH = 100;
+
+function isExpired(entry, now) {
+  return entry.expiresAt !== null && entry.expiresAt <= now;
+}
+
+function toEntry(value, ttlMs) {
+  return {
+    value,
+    expiresAt: ttlMs ? Date.now() + ttlMs : null
+  };
+}
+
+export function createMemoryStore() {
+  const namespaces = new Map();
+  const lastSweep = new Map(); // namespace -> time of its last sweep
+
+  function bucket(namespace) {
+    if (!namespaces.has(namespace)) {
+      namespaces.set(namespace, new Map());
+    }
+    return namespaces.get(namespace);
+  }
+
+  return {
+    name: 'memory',
+    shared: false,
+
+    async get(namespace, key) {
+      const entries = bucket(namespace);
+      const entry = entries.get(key);
+      if (!entry) {
+        return null;
+      }
+      if (isExpired(entry, Date.now())) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+
+    async set(namespace, key, value, ttlMs) {
+      const entries = bucket(namespace);
+      const now = Date.now();
+
+      // Keys that are never read again (request IDs, old rate-limit windows) would otherwise
+      // stay until the instance is recycled, so writes sweep the namespace once a minute
+      if (now - (lastSweep.get(namespace) || 0) >= SWEEP_INTERVAL) {
+        for (const [existingKey, entry] of entries.entries()) {
+          if (isExpired(entry, now)) {
+            entries.delete(existingKey);
+          }
+        }
+        lastSweep.set(namespace, now);
+      }
+
+      entries.set(key, toEntry(value, ttlMs));
+    },
+
+    async delete(namespace, key) {
+      return bucket(namespace).delete(key);
+    },
+
+    async entries(namespace) {
+      const now = Date.now();
+      const entries = bucket(namespace);
+      const result = [];
+
+      for (const [key, entry] of entries.entries()) {
+        if (isExpired(entry, now)) {
+          entries.delete(key);
+        } else {
+          result.push([key, entry.value]);
+        }
+      }
+      return result;
+    }
+  };
+}
+
+export function createFileStore(filePath) {
+  // The file is re-read on every operation so writes from other instances are picked up
+  function readAll() {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Could not read store, starting empty', { filePath, error: error.message });
+      }
+      return {};
+    }
+  }
+
+  function writeAll(data) {
+    const now = Date.now();
+
+    // Drop expired entries on every write so the file doesn't grow forever
+    for (const entries of Object.values(data)) {
+      for (const [key, entry] of Object.entries(entries)) {
+        if (isExpired(entry, now)) {
+          delete entries[key];
+        }
+      }
+    }
+
+    // Write to a temp file and rename so readers never see a half-written file
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(data));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  // Read-modify-write under `${filePath}.lock`, created with O_EXCL so only one writer holds it
+  async function withLock(update) {
+    const lockPath = `${filePath}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    for (;;) {
+      try {
+        fs.closeSync(fs.openSync(lockPath, 'wx'));
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      const lockedAt = fs.statSync(lockPath, { throwIfNoEntry: false })?.mtimeMs;
+      if (lockedAt && Date.now() - lockedAt > LOCK_STALE_MS) {
+        logger.warn('Removing stale store lock', { lockPath });
+        fs.rmSync(lockPath, { force: true });
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for store lock ${lockPath}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+
+    try {
+      return update();
+    } finally {
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+
+  return {
+    name: 'file',
+    shared: false,
+
+    async get(namespace, key) {
+      const entry = readAll()[namespace]?.[key];
+      if (!entry || isExpired(entry, Date.now())) {
+        return null;
+      }
+      return entry.value;
+    },
+
+    async set(namespace, key, value, ttlMs) {
+      await withLock(() => {
+        const data = readAll();
+        data[namespace] = data[namespace] || {};
+        data[namespace][key] = toEntry(value, ttlMs);
+        writeAll(data);
+      });
+    },
+
+    async delete(namespace, key) {
+      return withLock(() => {
+        const data = readAll();
+        if (!data[namespace]?.[key]) {
+          return false;
+        }
+        delete data[namespace][key];
+        writeAll(data);
+        return true;
+      });
+    },
+
+    async entries(namespace) {
+      const now = Date.now();
+      return Object.entries(readAll()[namespace] || {})
+        .filter(([, entry]) => !isExpired(entry, now))
+        .map(([key, entry]) => [key, entry.value]);
+    }
+  };
+}
+
+// Keys are `<prefix><namespace>:<key>` holding JSON, with TTLs as Redis expiries (PX)
+export function createRedisStore({ url, token, prefix = 'figma-slackbot:' }) {
+  const endpoint = url.replace(/\/$/, '');
+
+  async function command(...args) {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args),
+      signal: AbortSignal.timeout(REDIS_TIMEOUT_MS)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.error) {
+      throw new Error(`Redis ${args[0]} failed: ${data.error || `HTTP ${response.status}`}`);
+    }
+    return data.result;
+  }
+
+  const keyFor = (namespace, key) => `${prefix}${namespace}:${key}`;
+
+  return {
+    name: 'redis',
+    shared: true,
+
+    async get(namespace, key) {
+      const value = await command('GET', keyFor(namespace, key));
+      return value === null ? null : JSON.parse(value);
+    },
+
+    async set(namespace, key, value, ttlMs) {
+      const expiry = ttlMs ? ['PX', Math.max(1, Math.ceil(ttlMs))] : [];
+      await command('SET', keyFor(namespace, key), JSON.stringify(value), ...expiry);
+    },
+
+    async delete(namespace, key) {
+      return (await command('DEL', keyFor(namespace, key))) > 0;
+    },
+
+    async entries(namespace) {
+      const namespacePrefix = keyFor(namespace, '');
+      const pattern = `${namespacePrefix.replace(/[*?[\]\\]/g, '\\$&')}*`;
+      const keys = new Set(); // SCAN may return a key more than once
+      let cursor = '0';
+      do {
+        const [next, batch] = await command('SCAN', cursor, 'MATCH', pattern, 'COUNT', REDIS_SCAN_COUNT);
+        batch.forEach(key => keys.add(key));
+        cursor = String(next);
+      } while (cursor !== '0');
+
+      const result = [];
+      const allKeys = [...keys];
+      for (let index = 0; index < allKeys.length; index += REDIS_MGET_BATCH) {
+        const batch = allKeys.slice(index, index + REDIS_MGET_BATCH);
+        const values = await command('MGET', ...batch);
+        batch.forEach((key, position) => {
+          // Keys that expired between SCAN and MGET come back as null
+          if (values[position] !== null) {
+            result.push([key.slice(namespacePrefix.length), JSON.parse(values[position])]);
+          }
+        });
+      }
+      return result;
+    }
+  };
+}
+
+function redisSettings() {
+  return {
+    url: process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL,
+    token: process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN,
+    prefix: process.env.STORAGE_KEY_PREFIX
+  };
+}
+
+function defaultBackend() {
+  return process.env.STORAGE_BACKEND || (redisSettings().url ? 'redis' : 'memory');
+}
+
+export function createStore(backend = defaultBackend()) {
+  switch (backend) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore(process.env.STORAGE_FILE_PATH || '/tmp/figma-slackbot-store.json');
+    case 'redis': {
+      const { url, token, prefix } = redisSettings();
+      if (!url || !token) {
+        throw new Error('STORAGE_BACKEND=redis needs KV_REST_API_URL and KV_REST_API_TOKEN');
+      }
+      return createRedisStore({ url, token, ...(prefix ? { prefix } : {}) });
+    }
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND '${backend}' (expected memory, file or redis)`);
+  }
+}
+
+let store;
+
+// Shared store for the whole process, created on first use
+export function getStore() {
+  if (!store) {
+    store = createStore();
+    logger.info('Using storage backend', { backend: store.name });
+    if (process.env.VERCEL && !store.shared) {
+      logger.error('Storage backend is not shared between Vercel instances, use STORAGE_BACKEND=redis', { backend: store.name });
+    }
+  }
+  return store;
+}
@@ -0,0 +1,169 @@
+// lib/subscriptions.js
+import { LIBRARY_CONFIG } from './config.js';
+import { describeCommitType } from './commit-types.js';
+import { getStore } from './storage.js';
+import { slack, callSlack, getSentMessage, messagePosts, formatPublisher, recordScheduledDms } from './slack.js';
+import { matchesComponentPatterns } from './routing.js';
+import { checkQuietHours } from './quiet-hours.js';
+import { logger } from './logger.js';
+
+// Direct-message subscriptions, managed by each user with `/figma-updates subscribe`.
+// Stored per Slack user ID as a list of { id, components, fileKey, types, createdAt }:
+//   components - wildcard patterns matched against the publish's components and scope
+//   fileKey    - only publishes from this library (null for any)
+//   types      - only these commit types (empty for any)
+// DMs go out alongside a publish's channel notification, so skipped and digest-queued
+// publishes don't DM anyone. During the library's quiet hours they're scheduled for when
+// they end, like the channel posts, and recorded on the publish so deleting it cancels them.
+
+export async function getSubscriptions(userId) {
+  return (await getStore().get('subscriptions', userId)) || [];
+}
+
+export async function addSubscription(userId, { components, fileKey = null, types = [] }) {
+  const subscriptions = await getSubscriptions(userId);
+  const subscription = {
+    id: Math.max(0, ...subscriptions.map(sub => sub.id)) + 1,
+    components,
+    fileKey,
+    types,
+    createdAt: Date.now()
+  };
+
+  await getStore().set('subscriptions', userId, [...subscriptions, subscription]);
+  logger.info('Added subscription', { userId, components, subscriptionId: subscription.id });
+  return subscription;
+}
+
+// Remove one subscription by ID, or all of them with 'all'. Returns how many were removed.
+export async function removeSubscription(userId, id) {
+  const subscriptions = await getSubscriptions(userId);
+  const remaining = id === 'all' ? [] : subscriptions.filter(sub => String(sub.id) !== String(id));
+
+  if (remaining.length === 0) {
+    await getStore().delete('subscriptions', userId);
+  } else {
+    await getStore().set('subscriptions', userId, remaining);
+  }
+  return subscriptions.length - remaining.length;
+}
+
+function subscriptionMatches(subscription, fileKey, parsedCommit) {
+  const { type, scope, components = [] } = parsedCommit;
+
+  if (subscription.fileKey && subscription.fileKey !== fileKey) {
+    return false;
+  }
+  if (subscription.types.length > 0 && !subscription.types.includes(type)) {
+    return false;
+  }
+  return matchesComponentPatterns(subscription.components, scope ? [...components, scope] : components);
+}
+
+// Map of userId -> the subscription that matched, one entry per subscriber
+export async function findSubscribers(fileKey, parsedCommit) {
+  const subscribers = new Map();
+
+  for (const [userId, subscriptions] of await getStore().entries('subscriptions')) {
+    const match = subscriptions.find(subscription => subscriptionMatches(subscription, fileKey, parsedCommit));
+    if (match) {
+      subscribers.set(userId, match);
+    }
+  }
+  return subscribers;
+}
+
+// Users the channel post already pings, directly or through a user group
+async function mentionedUserIds(blocks) {
+  const text = JSON.stringify(blocks || []);
+  const userIds = new Set([...text.matchAll(/<@([UW][A-Z0-9]+)>/g)].map(match => match[1]));
+
+  for (const [, usergroup] of text.matchAll(/<!subteam\^([A-Z0-9]+)(?:\|[^>]*)?>/g)) {
+    try {
+      const result = await callSlack('usergroups.users.list', () => slack.usergroups.users.list({ usergroup }));
+      (result.users || []).forEach(userId => userIds.add(userId));
+    } catch (error) {
+      logger.error('Error listing user group members', { usergroup, error });
+    }
+  }
+  return userIds;
+}
+
+// Short DM version of a publish notification
+function buildSubscriptionMessage({ library, fileKey, publishedBy, publisherSlackId, parsedCommit, subscription, channels }) {
+  const { commitType, scope, components, message } = parsedCommit;
+  const target = scope ? ` (${scope})` : components.length > 0 ? `: ${components.map(comp => `\`${comp}\``).join(', ')}` : '';
+  const posted = channels.length > 0 ? ` • Posted in ${channels.join(', ')}` : '';
+
+  return {
+    text: `${commitType.emoji} ${commitType.label} in ${library.name}: ${message}`,
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*${commitType.emoji} ${commitType.label}${target}* in *${library.name}*\n${message}` }
+      },
+      {
+        type: 'context',
+        elements: [{
+          type: 'mrkdwn',
+          text: `Published by ${formatPublisher(publishedBy, publisherSlackId)} • <https://www.figma.com/file/${fileKey}|View in Figma>${posted} • `
+            + `You follow \`${subscription.components.join(', ')}\` (#${subscription.id}, manage with \`/figma-updates subscriptions\`)`
+        }]
+      }
+    ]
+  };
+}
+
+// DM every matching subscriber who isn't already mentioned in the channel post
+export async function notifySubscribers({ library, fileKey, publishedBy, publisherSlackId, parsedCommit, requestId }) {
+  const subscribers = await findSubscribers(fileKey, parsedCommit);
+  if (subscribers.size === 0) {
+    return [];
+  }
+
+  const sent = requestId ? await getSentMessage(requestId) : null;
+  const mentioned = await mentionedUserIds(sent?.blocks);
+  const channels = sent ? messagePosts(sent).map(post => post.channel) : [];
+  const quiet = checkQuietHours(library, null, parsedCommit);
+  const notified = [];
+  const scheduledDms = [];
+
+  for (const [userId, subscription] of subscribers) {
+    if (mentioned.has(userId)) {
+      logger.debug('Skipping subscription DM, already mentioned', { userId });
+      continue;
+    }
+
+    try {
+      const { channel } = await callSlack('conversations.open', () => slack.conversations.open({ users: userId }));
+      const message = {
+        channel: channel.id,
+        ...buildSubscriptionMessage({ library, fileKey, publishedBy, publisherSlackId, parsedCommit, subscription, channels })
+      };
+      if (quiet?.postAt) {
+        const scheduled = await callSlack('chat.scheduleMessage', () => slack.chat.scheduleMessage({ ...message, post_at: Math.floor(quiet.postAt / 1000) }));
+        scheduledDms.push({ userId, channelId: channel.id, scheduledMessageId: scheduled.scheduled_message_id, postAt: quiet.postAt });
+      } else {
+        await callSlack('chat.postMessage', () => slack.chat.postMessage(message));
+      }
+      notified.push(userId);
+    } catch (error) {
+      logger.error('Error sending subscription DM', { userId, error });
+    }
+  }
+
+  if (requestId) {
+    await recordScheduledDms(requestId, scheduledDms);
+  }
+  logger.info('Sent subscription DMs', { requestId, count: notified.length, ...(quiet?.postAt ? { reason: quiet.reason } : {}) });
+  return notified;
+}
+
+// Human-readable summary for the slash command
+export function describeSubscription(subscription) {
+  const library = subscription.fileKey ? LIBRARY_CONFIG[subscription.fileKey]?.name || subscription.fileKey : 'any library';
+  const types = subscription.types.length > 0
+    ? subscription.types.map(type => `${describeCommitType(type).emoji} ${type}`.trim()).join(', ')
+    : 'any type';
+  return `#${subscription.id} \`${subscription.components.join(', ')}\` in ${library} (${types})`;
+}
@@ -0,0 +1,52 @@
+// lib/tickets.js
+import { TICKET_LINKS } from './config.js';
+
+// Ticket references in descriptions: Jira keys (DS-123) and GitHub issues/PRs (#456).
+// They're linked in Slack messages using `ticketLinks` from the config (a library's own
+// `ticketLinks` replaces it), e.g.
+//   "ticketLinks": {
+//     "jira": { "url": "https://acme.atlassian.net/browse/{id}", "projects": ["DS"] },
+//     "github": { "url": "https://github.com/acme/design-system/issues/{id}" }
+//   }
+// Without `projects`, any KEY-123 is treated as a Jira key. References for trackers that
+// aren't configured stay plain text.
+const TICKET_REGEX = /(?<![\w/#-])(?:([A-Z][A-Z0-9]+-\d+)|#(\d+))(?![\w-])/g;
+const TICKET_LIST_REGEX = /^(?:[A-Z][A-Z0-9]+-\d+|#\d+)(?:\s*,\s*(?:[A-Z][A-Z0-9]+-\d+|#\d+))*$/;
+
+// True for bracketed references like "DS-123" or "DS-123, #456"
+export function isTicketList(text) {
+  return TICKET_LIST_REGEX.test(String(text || '').trim());
+}
+
+// [{ kind: 'jira', id: 'DS-123' }, { kind: 'github', id: '456' }] in order of appearance
+export function extractTickets(text) {
+  const tickets = new Map();
+  for (const [, jiraKey, issueNumber] of String(text || '').matchAll(TICKET_REGEX)) {
+    const ticket = jiraKey ? { kind: 'jira', id: jiraKey } : { kind: 'github', id: issueNumber };
+    tickets.set(`${ticket.kind}:${ticket.id}`, ticket);
+  }
+  return [...tickets.values()];
+}
+
+function ticketUrl(links, kind, id) {
+  const link = links[kind];
+  if (!link) {
+    return null;
+  }
+  if (kind === 'jira' && link.projects && !link.projects.includes(id.split('-')[0])) {
+    return null;
+  }
+  return link.url.replace('{id}', encodeURIComponent(id));
+}
+
+// Turn ticket references in Slack mrkdwn into <url|DS-123> links
+export function linkTickets(text, library) {
+  const links = library?.ticketLinks || TICKET_LINKS;
+  if (!text || Object.keys(links).length === 0) {
+    return text;
+  }
+  return text.replace(TICKET_REGEX, (reference, jiraKey, issueNumber) => {
+    const url = jiraKey ? ticketUrl(links, 'jira', jiraKey) : ticketUrl(links, 'github', issueNumber);
+    return url ? `<${url}|${reference}>` : reference;
+  });
+}
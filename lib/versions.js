@@ -0,0 +1,116 @@
+// lib/versions.js
+import { describeCommitType } from './commit-types.js';
+import { getStore } from './storage.js';
+import { postEventMessage } from './slack.js';
+import { getHistory } from './history.js';
+import { logger } from './logger.js';
+
+// Semantic version per library, bumped by every valid publish according to its commit
+// type: the type's `bump` in the config ('none' keeps the version), else VERSION_BUMPS.
+// Versions live in the `versions` namespace keyed by file key and never expire.
+// Until the first bump (or `/figma-updates version`) a library is at `versioning.initial`.
+const VERSION_BUMPS = {
+  breaking: 'major',
+  feat: 'minor',
+  fix: 'patch',
+  patch: 'patch',
+  update: 'patch'
+};
+const DEFAULT_VERSION = '0.0.0';
+const BUMP_ORDER = ['patch', 'minor', 'major'];
+
+// "1.2.3" or "v1.2.3" -> "1.2.3", otherwise null
+export function normalizeVersion(text) {
+  const match = String(text || '').trim().match(/^v?(\d+)\.(\d+)\.(\d+)$/i);
+  return match ? match.slice(1).map(Number).join('.') : null;
+}
+
+function incrementVersion(version, bump) {
+  const [major, minor, patch] = version.split('.').map(Number);
+  switch (bump) {
+    case 'major':
+      return `${major + 1}.0.0`;
+    case 'minor':
+      return `${major}.${minor + 1}.0`;
+    case 'patch':
+      return `${major}.${minor}.${patch + 1}`;
+    default:
+      return version;
+  }
+}
+
+export async function getLibraryVersion(fileKey, library) {
+  const entry = await getStore().get('versions', fileKey);
+  return entry?.version || library.versioning?.initial || DEFAULT_VERSION;
+}
+
+// The type's configured `bump`, else the default table; null keeps the version
+function typeBump(type) {
+  const { bump } = describeCommitType(type);
+  if (bump) {
+    return bump === 'none' ? null : bump;
+  }
+  return VERSION_BUMPS[type] || null;
+}
+
+// Largest bump of any type section in the publish; a BREAKING CHANGE note or deleted
+// components (isBreaking) make it major
+function releaseBump(parsedCommit) {
+  if (parsedCommit.isBreaking) {
+    return 'major';
+  }
+  const types = parsedCommit.sections?.map(section => section.type) || [parsedCommit.type];
+  const bumps = types.map(typeBump).filter(Boolean);
+  return bumps.sort((a, b) => BUMP_ORDER.indexOf(b) - BUMP_ORDER.indexOf(a))[0] || null;
+}
+
+// { previous, version, bump } for a publish without storing it (dry runs and previews).
+// Types without a bump keep the current version and have bump: null.
+export async function previewRelease(fileKey, library, parsedCommit) {
+  const previous = await getLibraryVersion(fileKey, library);
+  const bump = releaseBump(parsedCommit);
+  return { previous, version: incrementVersion(previous, bump), bump };
+}
+
+export async function releaseVersion(fileKey, library, parsedCommit, requestId) {
+  const release = await previewRelease(fileKey, library, parsedCommit);
+  if (release.bump) {
+    await getStore().set('versions', fileKey, { version: release.version, requestId, updatedAt: Date.now() });
+    logger.info('Bumped library version', { library: library.name, previous: release.previous, version: release.version, bump: release.bump });
+  }
+  return release;
+}
+
+// Set or correct the current version by hand. The next publish bumps from here.
+export async function setLibraryVersion(fileKey, version, setBy) {
+  await getStore().set('versions', fileKey, { version, setBy, updatedAt: Date.now() });
+  logger.info('Set library version', { fileKey, version, setBy });
+}
+
+// "🏁 Foundations v3.0.0" summary of the major version that just ended, posted after a
+// breaking publish when `versioning.milestones` is on. Counts come from the publish history.
+export async function postMilestone({ library, fileKey, release, parsedCommit }) {
+  const previousMajor = release.previous.split('.')[0];
+  const shipped = (await getHistory({ fileKey }))
+    .filter(entry => entry.version?.split('.')[0] === previousMajor);
+
+  const counts = Object.entries(Object.groupBy(shipped, entry => entry.type))
+    .map(([type, entries]) => {
+      const commitType = describeCommitType(type);
+      return `${commitType.emoji} ${commitType.label} ×${entries.length}`;
+    });
+
+  const lines = [
+    `🏁 *${library.name} v${release.version}*`,
+    `🚨 ${parsedCommit.message}`,
+    counts.length > 0 ? `Shipped in v${previousMajor}.x: ${counts.join(' • ')}` : null
+  ].filter(Boolean);
+
+  return postEventMessage({
+    channel: library.channel,
+    text: `🏁 ${library.name} v${release.version}`,
+    blocks: [{ type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') } }],
+    fileKey,
+    eventType: 'VERSION_MILESTONE'
+  });
+}
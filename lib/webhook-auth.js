@@ -0,0 +1,163 @@
+// lib/webhook-auth.js
+import crypto from 'crypto';
+import { getStore } from './storage.js';
+
+// How incoming Figma webhooks are authenticated (FIGMA_WEBHOOK_AUTH_MODE):
+//   passcode - body.passcode must equal FIGMA_WEBHOOK_SECRET (default, what Figma sends)
+//   hmac     - signature header must be an HMAC-SHA256 of the raw body keyed with FIGMA_WEBHOOK_SECRET
+//   any      - either of the above is enough
+//   all      - both are required
+const AUTH_MODES = ['passcode', 'hmac', 'any', 'all'];
+const DEFAULT_SIGNATURE_HEADER = 'x-figma-signature';
+// Figma retries a failed delivery with its original timestamp after 5 minutes, 30 minutes and
+// 3 hours, so the window has to cover all three. Replays inside it are caught by webhookReplays.
+const DEFAULT_MAX_AGE_SECONDS = 4 * 60 * 60; // 4 hours
+
+// Constant-time string comparison. Both sides are hashed first so the
+// comparison doesn't leak the secret's length either.
+export function safeCompare(provided, expected) {
+  if (typeof provided !== 'string' || typeof expected !== 'string') {
+    return false;
+  }
+  const providedHash = crypto.createHash('sha256').update(provided).digest();
+  const expectedHash = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(providedHash, expectedHash);
+}
+
+export function verifyWebhookSignature(body, signature, secret) {
+  const expectedSignature = crypto
+    .createHmac('sha256', secret)
+    .update(body)
+    .digest('hex');
+
+  // Accept both bare hex and "sha256=<hex>" formats
+  const providedSignature = (signature || '').replace(/^sha256=/, '');
+  return safeCompare(providedSignature, expectedSignature);
+}
+
+// Everything left in the request stream, or null when the platform has already consumed it
+export async function readStream(req) {
+  if (!req.readable || typeof req[Symbol.asyncIterator] !== 'function') {
+    return null;
+  }
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+// The HMAC has to be computed over the exact bytes Figma sent, so api/figma-webhook.js turns
+// the platform's body parser off and reads the body here. Sets req.rawBody and req.body (parsed
+// JSON); throws a SyntaxError on invalid JSON.
+export async function readWebhookBody(req) {
+  if (!req.rawBody) {
+    req.rawBody = typeof req.body === 'string' || Buffer.isBuffer(req.body)
+      ? Buffer.from(req.body)
+      : await readStream(req);
+  }
+  if (req.rawBody) {
+    req.body = req.rawBody.length > 0 ? JSON.parse(req.rawBody.toString()) : {};
+  }
+  return req.body || {};
+}
+
+function failure(code, message) {
+  return { ok: false, code, message };
+}
+
+function checkCredentials(req, body, secret, mode) {
+  const hasPasscode = () => safeCompare(body.passcode, secret);
+  const hasSignature = () => {
+    const headerName = (process.env.FIGMA_WEBHOOK_SIGNATURE_HEADER || DEFAULT_SIGNATURE_HEADER).toLowerCase();
+    const signature = req.headers?.[headerName];
+    // A body someone else parsed can't be checked: re-serialising it won't give Figma's bytes
+    return !!signature && !!req.rawBody && verifyWebhookSignature(req.rawBody, signature, secret);
+  };
+
+  switch (mode) {
+    case 'passcode':
+      if (!body.passcode) {
+        return failure('missing_passcode', 'Payload has no passcode');
+      }
+      return hasPasscode() ? null : failure('invalid_passcode', 'Passcode does not match');
+    case 'hmac':
+      return hasSignature() ? null : failure('invalid_signature', 'Signature header missing or invalid');
+    case 'any':
+      return hasPasscode() || hasSignature() ? null : failure('invalid_credentials', 'Neither passcode nor signature is valid');
+    case 'all':
+      if (!hasPasscode()) {
+        return failure('invalid_passcode', 'Passcode does not match');
+      }
+      return hasSignature() ? null : failure('invalid_signature', 'Signature header missing or invalid');
+  }
+}
+
+function checkTimestamp(timestamp, maxAgeSeconds) {
+  if (!timestamp) {
+    return failure('missing_timestamp', 'Payload has no timestamp');
+  }
+
+  const sentAt = Date.parse(timestamp);
+  if (Number.isNaN(sentAt)) {
+    return failure('invalid_timestamp', `Could not parse timestamp '${timestamp}'`);
+  }
+
+  // Allow the same amount of clock skew into the future as into the past
+  const ageSeconds = Math.round((Date.now() - sentAt) / 1000);
+  if (Math.abs(ageSeconds) > maxAgeSeconds) {
+    return failure('stale_timestamp', `Timestamp is ${ageSeconds}s old (window is ${maxAgeSeconds}s)`);
+  }
+
+  return null;
+}
+
+function replayKey(body) {
+  return `${body.webhook_id}:${body.timestamp}`;
+}
+
+// Verify an incoming webhook request. Returns { ok: true } or
+// { ok: false, code, message } where code identifies the kind of failure.
+// Dry runs pass recordDelivery: false so previews don't use up the delivery.
+export async function verifyWebhookRequest(req, { recordDelivery = true } = {}) {
+  const secret = process.env.FIGMA_WEBHOOK_SECRET;
+  const mode = process.env.FIGMA_WEBHOOK_AUTH_MODE || 'passcode';
+  const maxAgeSeconds = Number(process.env.FIGMA_WEBHOOK_MAX_AGE_SECONDS) || DEFAULT_MAX_AGE_SECONDS;
+  const body = req.body || {};
+
+  if (!secret) {
+    return failure('missing_secret', 'FIGMA_WEBHOOK_SECRET is not configured');
+  }
+  if (!AUTH_MODES.includes(mode)) {
+    return failure('invalid_auth_mode', `Unknown FIGMA_WEBHOOK_AUTH_MODE '${mode}'`);
+  }
+
+  const credentialError = checkCredentials(req, body, secret, mode);
+  if (credentialError) {
+    return credentialError;
+  }
+
+  const timestampError = checkTimestamp(body.timestamp, maxAgeSeconds);
+  if (timestampError) {
+    return timestampError;
+  }
+
+  // Remember each webhook_id/timestamp pair for as long as its timestamp would be accepted
+  const store = getStore();
+  const key = replayKey(body);
+  if (await store.get('webhookReplays', key)) {
+    return failure('replayed', `Webhook ${key} was already received`);
+  }
+  if (recordDelivery) {
+    await store.set('webhookReplays', key, Date.now(), maxAgeSeconds * 2 * 1000);
+  }
+
+  return { ok: true };
+}
+
+// Forget a delivery so Figma's retry of a request we failed to process isn't treated as a replay
+export async function releaseWebhookRequest(req) {
+  if (req.body?.timestamp) {
+    await getStore().delete('webhookReplays', replayKey(req.body));
+  }
+}
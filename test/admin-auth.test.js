@@ -0,0 +1,122 @@
+// test/admin-auth.test.js
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+// ADMIN_TOKENS is read when lib/admin-auth.js loads, so the modules are imported after setting it
+process.env.ADMIN_TOKENS = JSON.stringify([
+  { name: 'reader', token: 'read-token', scopes: ['read'] },
+  { name: 'deleter', token: 'delete-token', scopes: ['delete'] },
+  { name: 'replayer', token: 'replay-token', scopes: ['replay'] },
+  { name: 'components-only', token: 'components-token', scopes: ['delete'], fileKeys: ['COMPONENTS'] }
+]);
+
+let authenticateAdmin, canAccessFile, getStore, slack, handler;
+
+before(async () => {
+  ({ authenticateAdmin, canAccessFile } = await import('../lib/admin-auth.js'));
+  ({ getStore } = await import('../lib/storage.js'));
+  ({ slack } = await import('../lib/slack.js'));
+  ({ default: handler } = await import('../api/figma-webhook.js'));
+});
+
+const bearer = token => ({ headers: { authorization: `Bearer ${token}` } });
+
+// Just enough of Vercel's response object for the handler
+function response() {
+  return {
+    statusCode: null,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+function deleteRequest(token, query) {
+  return { method: 'DELETE', ...bearer(token), query };
+}
+
+async function auditActions() {
+  return (await getStore().entries('auditLog')).map(([, entry]) => `${entry.actor}:${entry.action}`);
+}
+
+test('authenticateAdmin needs a known bearer token', () => {
+  assert.deepEqual(authenticateAdmin({ headers: {} }, 'read'), { ok: false, status: 401, error: 'Missing bearer token' });
+  assert.equal(authenticateAdmin({ headers: { authorization: 'read-token' } }, 'read').status, 401);
+  assert.deepEqual(authenticateAdmin(bearer('wrong-token'), 'read'), { ok: false, status: 401, error: 'Invalid token' });
+});
+
+test('authenticateAdmin checks scopes, with delete and replay implying read', () => {
+  assert.equal(authenticateAdmin(bearer('read-token'), 'read').admin.name, 'reader');
+  assert.equal(authenticateAdmin(bearer('delete-token'), 'read').ok, true);
+  assert.equal(authenticateAdmin(bearer('replay-token'), 'read').ok, true);
+
+  const denied = authenticateAdmin(bearer('read-token'), 'delete');
+  assert.equal(denied.status, 403);
+  assert.match(denied.error, /lacks the 'delete' scope/);
+  assert.equal(authenticateAdmin(bearer('delete-token'), 'replay').status, 403);
+});
+
+test('canAccessFile limits tokens with fileKeys to those libraries', () => {
+  const { admin: limited } = authenticateAdmin(bearer('components-token'), 'delete');
+  const { admin: unlimited } = authenticateAdmin(bearer('delete-token'), 'delete');
+
+  assert.equal(canAccessFile(limited, 'COMPONENTS'), true);
+  assert.equal(canAccessFile(limited, 'ICONS'), false);
+  assert.equal(canAccessFile(unlimited, 'ICONS'), true);
+});
+
+test('DELETE by channel and timestamp only removes messages this bot posted', async t => {
+  const deleted = [];
+  t.mock.method(slack.chat, 'delete', async args => {
+    deleted.push(args);
+    return { ok: true };
+  });
+  await getStore().set('sentMessages', 'request-own', {
+    fileKey: 'COMPONENTS',
+    channel: '#design-system',
+    timestamp: '111.222',
+    sentAt: Date.now(),
+    posts: [{ channel: '#design-system', timestamp: '111.222' }]
+  }, 60 * 1000);
+
+  const foreign = response();
+  await handler(deleteRequest('delete-token', { channel: '#design-system', timestamp: '999.999' }), foreign);
+  assert.equal(foreign.statusCode, 403);
+  assert.deepEqual(deleted, []);
+
+  const own = response();
+  await handler(deleteRequest('delete-token', { channel: '#design-system', timestamp: '111.222' }), own);
+  assert.equal(own.statusCode, 200);
+  assert.deepEqual(deleted, [{ channel: '#design-system', ts: '111.222' }]);
+
+  const actions = await auditActions();
+  assert.ok(actions.includes('deleter:delete-denied'));
+  assert.ok(actions.includes('deleter:delete'));
+});
+
+test('DELETE refuses tokens without the scope or the library', async t => {
+  t.mock.method(slack.chat, 'delete', async () => assert.fail('Slack should not be called'));
+  await getStore().set('sentMessages', 'request-icons', {
+    fileKey: 'ICONS',
+    channel: '#icons',
+    timestamp: '333.444',
+    sentAt: Date.now()
+  }, 60 * 1000);
+
+  const readOnly = response();
+  await handler(deleteRequest('read-token', { requestId: 'request-icons' }), readOnly);
+  assert.equal(readOnly.statusCode, 403);
+
+  const otherLibrary = response();
+  await handler(deleteRequest('components-token', { requestId: 'request-icons' }), otherLibrary);
+  assert.equal(otherLibrary.statusCode, 403);
+  assert.match(otherLibrary.body.message, /may not delete messages for file ICONS/);
+  assert.ok((await auditActions()).includes('components-only:delete-denied'));
+  assert.ok(await getStore().get('sentMessages', 'request-icons'));
+});
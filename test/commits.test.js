@@ -0,0 +1,58 @@
+// test/commits.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSemanticCommit, shouldSendNotification } from '../lib/commits.js';
+
+test('parseSemanticCommit reads a component list with bullets', () => {
+  const parsed = parseSemanticCommit('fix: Button, Input\n- Fixed focus ring\n- Fixed padding');
+
+  assert.equal(parsed.isValid, true);
+  assert.equal(parsed.type, 'fix');
+  assert.deepEqual(parsed.components, ['Button', 'Input']);
+  assert.deepEqual(parsed.bulletPoints, ['Fixed focus ring', 'Fixed padding']);
+  assert.equal(parsed.priority, 'normal');
+});
+
+test('parseSemanticCommit reads scope, flags and mentions', () => {
+  const parsed = parseSemanticCommit('feat(forms)!: New date picker [dev-complete] [priority] [@Designers]');
+
+  assert.equal(parsed.scope, 'forms');
+  assert.equal(parsed.isForced, true);
+  assert.equal(parsed.isDevComplete, true);
+  assert.equal(parsed.priority, 'high');
+  assert.deepEqual(parsed.mentions, ['designers']);
+});
+
+test('parseSemanticCommit resolves type aliases', () => {
+  assert.equal(parseSemanticCommit('feature: Card').type, 'feat');
+});
+
+test('parseSemanticCommit rejects descriptions without a type', () => {
+  const parsed = parseSemanticCommit('Updated some things');
+
+  assert.equal(parsed.isValid, false);
+  assert.equal(parsed.raw, 'Updated some things');
+});
+
+test('parseSemanticCommit reads extra sections, breaking notes and tickets', () => {
+  const parsed = parseSemanticCommit([
+    'feat: Card',
+    '- Added elevation',
+    'fix: Button',
+    '- Fixed hover state',
+    'BREAKING CHANGE: Removed size="l" (DS-123)'
+  ].join('\n'));
+
+  assert.deepEqual(parsed.sections.map(section => section.type), ['feat', 'fix']);
+  assert.deepEqual(parsed.notes, [{ kind: 'breaking', text: 'Removed size="l" (DS-123)' }]);
+  assert.deepEqual(parsed.tickets, [{ kind: 'jira', id: 'DS-123' }]);
+  assert.equal(parsed.isBreaking, true);
+  assert.equal(parsed.priority, 'critical');
+});
+
+test('shouldSendNotification always announces breaking changes', () => {
+  const rules = { neverNotify: ['chore'] };
+
+  assert.equal(shouldSendNotification(parseSemanticCommit('chore: cleanup'), rules, 'FILE').should, false);
+  assert.equal(shouldSendNotification(parseSemanticCommit('chore: cleanup\nBREAKING CHANGE: Removed Chip'), rules, 'FILE').should, true);
+});
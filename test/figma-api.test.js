@@ -0,0 +1,80 @@
+// test/figma-api.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+// A local stand-in for api.figma.com, pointed at with FIGMA_API_BASE_URL
+const PUBLISHED_AT = Date.parse('2026-10-19T10:00:00Z');
+const responses = {
+  '/v1/files/FILE/versions': {
+    versions: [
+      { id: '4', label: null, description: null, created_at: '2026-10-19T10:20:00Z' },
+      { id: '3', label: null, description: null, created_at: '2026-10-19T10:00:05Z' },
+      { id: '2', label: null, description: 'feat: Card', created_at: '2026-10-19T09:59:58Z' },
+      { id: '1', label: 'v1', description: 'feat: Button', created_at: '2026-10-18T09:00:00Z' }
+    ]
+  },
+  '/v1/files/FILE/components': {
+    meta: {
+      components: [
+        { key: 'card', name: 'Card', node_id: '1:2', thumbnail_url: 'https://example.com/card.png' },
+        { key: 'button', name: 'Button', node_id: '1:3', thumbnail_url: 'https://example.com/button.png' }
+      ]
+    }
+  }
+};
+
+let server;
+const requests = [];
+let figmaApi;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requests.push({ url: req.url, token: req.headers['x-figma-token'] });
+    const body = responses[req.url];
+    res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body || { error: 'Not found' }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  process.env.FIGMA_API_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.FIGMA_API_TOKEN = 'figd_test';
+  figmaApi = await import('../lib/figma-api.js');
+});
+
+after(() => server.close());
+
+test('getPublishVersion skips autosaves and versions saved after the publish', async () => {
+  const version = await figmaApi.getPublishVersion('FILE', { publishedAt: PUBLISHED_AT });
+  assert.equal(version.id, '2');
+});
+
+test('getPublishVersion prefers the version whose description matches the publish', async () => {
+  const version = await figmaApi.getPublishVersion('FILE', { publishedAt: PUBLISHED_AT + 60 * 60 * 1000, description: 'feat: Button' });
+  assert.equal(version.id, '1');
+});
+
+test('getPublishVersion caches version lists per publish', async () => {
+  const count = () => requests.filter(request => request.url === '/v1/files/FILE/versions').length;
+  const publishedAt = PUBLISHED_AT + 1000;
+  const before = count();
+  await figmaApi.getPublishVersion('FILE', { publishedAt });
+  await figmaApi.getPublishVersion('FILE', { publishedAt });
+  assert.equal(count(), before + 1);
+  await figmaApi.getPublishVersion('FILE', { publishedAt: publishedAt + 1000 });
+  assert.equal(count(), before + 2);
+});
+
+test('fetchPublishDetails returns the version link and thumbnails of changed components', async () => {
+  const changes = { components: { created: [{ key: 'card', name: 'Card' }], modified: [], deleted: [] } };
+  const details = await figmaApi.fetchPublishDetails('FILE', { changes, publishedAt: PUBLISHED_AT, description: 'feat: Card' });
+
+  assert.equal(details.versionUrl, 'https://www.figma.com/file/FILE?version-id=2');
+  assert.deepEqual(details.thumbnails, [{ name: 'Card', url: 'https://example.com/card.png', nodeId: '1:2' }]);
+  assert.equal(details.components.length, 2);
+  assert.ok(requests.every(request => request.token === 'figd_test'));
+});
+
+test('fetchPublishDetails degrades to null when the API fails', async () => {
+  assert.equal(await figmaApi.fetchPublishDetails('MISSING', { publishedAt: PUBLISHED_AT }), null);
+});
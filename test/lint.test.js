@@ -0,0 +1,43 @@
+// test/lint.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lintDescription } from '../lib/lint.js';
+
+const codes = report => report.problems.map(problem => problem.code);
+
+test('lintDescription accepts a well-formed description', async () => {
+  const report = await lintDescription('feat: Button, Input\n- Added sizes [dev-complete]');
+  assert.deepEqual(report, { problems: [], suggestion: null });
+});
+
+test('lintDescription suggests a type for descriptions without one', async () => {
+  const report = await lintDescription('Button: new sizes');
+  assert.deepEqual(codes(report), ['missing_type']);
+  assert.equal(report.suggestion, 'update(Button): new sizes');
+});
+
+test('lintDescription corrects misspelled types', async () => {
+  const report = await lintDescription('feet: Button');
+  assert.deepEqual(codes(report), ['unknown_type']);
+  assert.equal(report.suggestion, 'feat: Button');
+});
+
+test('lintDescription capitalises lowercase component lists', async () => {
+  const report = await lintDescription('fix: button, input');
+  assert.deepEqual(codes(report), ['lowercase_component']);
+  assert.equal(report.suggestion, 'fix: Button, Input');
+});
+
+test('lintDescription only flags a single lowercase word close to a known component', async () => {
+  assert.deepEqual(codes(await lintDescription('fix: typo\n- fixed', { componentNames: ['Button'] })), []);
+
+  const report = await lintDescription('fix: buton\n- Fixed padding', { componentNames: ['Button'] });
+  assert.deepEqual(codes(report), ['lowercase_component']);
+  assert.equal(report.suggestion, 'fix: Button\n- Fixed padding');
+});
+
+test('lintDescription corrects unknown flags but leaves ticket references alone', async () => {
+  const report = await lintDescription('feat: Card [dev complete] [DS-123]');
+  assert.deepEqual(codes(report), ['unknown_flag']);
+  assert.equal(report.suggestion, 'feat: Card [dev-complete] [DS-123]');
+});
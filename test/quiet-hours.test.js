@@ -0,0 +1,54 @@
+// test/quiet-hours.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkQuietHours } from '../lib/quiet-hours.js';
+
+const library = {
+  quietHours: {
+    timezone: 'Europe/Berlin',
+    start: '19:00',
+    end: '08:00',
+    weekends: true,
+    holidays: ['2026-12-24'],
+    breaking: 'silent',
+    channels: { '#apac-design': { timezone: 'Asia/Tokyo' }, '#ds-oncall': false }
+  }
+};
+const feature = { type: 'feat', priority: 'normal' };
+
+test('checkQuietHours lets publishes through during working hours', () => {
+  // Monday 2026-10-19, 12:00 in Berlin (UTC+2)
+  assert.equal(checkQuietHours(library, '#design', feature, Date.parse('2026-10-19T10:00:00Z')), null);
+});
+
+test('checkQuietHours schedules overnight publishes for the end of the window', () => {
+  const quiet = checkQuietHours(library, '#design', feature, Date.parse('2026-10-19T20:00:00Z'));
+  assert.equal(new Date(quiet.postAt).toISOString(), '2026-10-20T06:00:00.000Z');
+});
+
+test('checkQuietHours holds Friday night publishes until Monday morning', () => {
+  const quiet = checkQuietHours(library, '#design', feature, Date.parse('2026-10-23T20:00:00Z'));
+  assert.equal(new Date(quiet.postAt).toISOString(), '2026-10-26T07:00:00.000Z'); // after the switch to UTC+1
+});
+
+test('checkQuietHours skips holidays', () => {
+  // Held from Christmas Eve until the window ends on the 25th
+  const quiet = checkQuietHours(library, '#design', feature, Date.parse('2026-12-24T10:00:00Z'));
+  assert.equal(new Date(quiet.postAt).toISOString(), '2026-12-25T07:00:00.000Z');
+});
+
+test('checkQuietHours posts breaking changes right away without mentions', () => {
+  const quiet = checkQuietHours(library, '#design', { type: 'breaking', priority: 'critical' }, Date.parse('2026-10-19T20:00:00Z'));
+  assert.equal(quiet.silent, true);
+  assert.equal(quiet.postAt, undefined);
+});
+
+test('checkQuietHours applies per-channel overrides', () => {
+  const now = Date.parse('2026-10-19T20:00:00Z'); // 22:00 in Berlin, 05:00 the next day in Tokyo
+  assert.equal(checkQuietHours(library, '#ds-oncall', feature, now), null);
+  assert.equal(new Date(checkQuietHours(library, '#apac-design', feature, now).postAt).toISOString(), '2026-10-19T23:00:00.000Z');
+});
+
+test('checkQuietHours does nothing for libraries without quiet hours', () => {
+  assert.equal(checkQuietHours({}, '#design', feature, Date.parse('2026-10-19T20:00:00Z')), null);
+});
@@ -0,0 +1,41 @@
+// test/routing.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveChannels } from '../lib/routing.js';
+import { parseSemanticCommit } from '../lib/commits.js';
+
+const library = {
+  channel: '#design-system',
+  rules: {
+    routes: [
+      { types: ['breaking'], channels: ['#ds-breaking'] },
+      { components: ['Button*'], channels: ['#checkout-design', '#ds-breaking'] },
+      { scopes: ['mobile'], priorities: ['critical'], channels: ['#mobile-design'], replace: true }
+    ]
+  }
+};
+
+test('resolveChannels posts to the library channel when no route matches', () => {
+  assert.deepEqual(resolveChannels(library, { type: 'feat', components: ['Card'], priority: 'normal' }), ['#design-system']);
+});
+
+test('resolveChannels adds every matching route once', () => {
+  const channels = resolveChannels(library, { type: 'breaking', components: ['ButtonGroup'], priority: 'critical' });
+  assert.deepEqual(channels, ['#design-system', '#ds-breaking', '#checkout-design']);
+});
+
+test('resolveChannels needs every condition of a route to match', () => {
+  assert.deepEqual(resolveChannels(library, { type: 'feat', scope: 'Mobile', components: [], priority: 'normal' }), ['#design-system']);
+});
+
+test('resolveChannels drops the library channel for replacing routes', () => {
+  assert.deepEqual(resolveChannels(library, { type: 'fix', scope: 'mobile', components: [], priority: 'critical' }), ['#mobile-design']);
+});
+
+test('resolveChannels matches types against every section and breaking changes', () => {
+  const parsed = parseSemanticCommit('feat: Card\nBREAKING CHANGE: removed size');
+  assert.deepEqual(resolveChannels(library, parsed), ['#design-system', '#ds-breaking']);
+
+  const multi = parseSemanticCommit('feat: Card\n\nbreaking: Input');
+  assert.deepEqual(resolveChannels(library, multi), ['#design-system', '#ds-breaking']);
+});
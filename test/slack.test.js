@@ -0,0 +1,70 @@
+// test/slack.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSemanticCommit } from '../lib/commits.js';
+import { buildSlackNotification } from '../lib/slack.js';
+import { validateConfig, ConfigError } from '../lib/config.js';
+
+const library = { name: 'Components', channel: '#design-system' };
+const build = (description, options = {}) => buildSlackNotification({
+  library,
+  fileKey: 'FILE',
+  publishedBy: 'alice',
+  parsedCommit: parseSemanticCommit(description),
+  requestId: 'request-1',
+  ...options
+});
+const blockText = blocks => JSON.stringify(blocks);
+
+test('buildSlackNotification titles the message with the type and components', () => {
+  const { payload, blocks, isPriority } = build('feat: Button, Input\n- Added sizes');
+
+  assert.equal(payload.channel, '#design-system');
+  assert.match(payload.text, /^✨ Feature: /);
+  assert.match(blockText(blocks), /✨ Feature: `Button`, `Input`/);
+  assert.match(blockText(blocks), /Added sizes/);
+  assert.equal(isPriority, false);
+});
+
+test('buildSlackNotification adds buttons only when there is a request ID to track', t => {
+  process.env.SLACK_SIGNING_SECRET = 'test-secret';
+  t.after(() => delete process.env.SLACK_SIGNING_SECRET);
+
+  assert.match(JSON.stringify(build('fix: Card').payload.blocks), /"type":"actions"/);
+  assert.doesNotMatch(JSON.stringify(build('fix: Card', { requestId: null }).payload.blocks), /"type":"actions"/);
+});
+
+test('buildSlackNotification marks breaking changes as priority and shows their notes', () => {
+  const { blocks, isPriority } = build('fix: Card\nBREAKING CHANGE: Removed size="l"');
+
+  assert.equal(isPriority, true);
+  assert.match(blockText(blocks), /BREAKING CHANGE/);
+});
+
+test('buildSlackNotification pings the priority mention group on priority publishes', () => {
+  assert.match(blockText(build('breaking: Card').blocks), /<!subteam\^S01LM83PSGZ> - ⚠️ PLEASE REVIEW ⚠️/);
+  assert.doesNotMatch(blockText(build('feat: Card').blocks), /PLEASE REVIEW/);
+});
+
+test('validateConfig requires the priority mention to be a mention group', () => {
+  const config = { commitTypes: { feat: { emoji: '✨', label: 'Feature', notify: true } }, mentionGroups: { everyone: '<!everyone>' }, libraries: {} };
+  assert.throws(() => validateConfig(config), error => error instanceof ConfigError && /priorityMention 'designers'/.test(error.message));
+
+  assert.doesNotThrow(() => validateConfig({ ...config, priorityMention: 'everyone' }));
+  assert.doesNotThrow(() => validateConfig({ ...config, priorityMention: false }));
+});
+
+test('buildSlackNotification shows the release and the publisher', () => {
+  const { blocks } = build('feat: Card', {
+    publisherSlackId: 'U123',
+    release: { previous: '1.2.0', version: '1.3.0', bump: 'minor' }
+  });
+
+  assert.match(blockText(blocks), /`v1\.3\.0`/);
+  assert.match(blockText(blocks), /v1\.2\.0 → v1\.3\.0/);
+  assert.match(blockText(blocks), /<@U123>/);
+});
+
+test('buildSlackNotification posts to the requested channel', () => {
+  assert.equal(build('feat: Card', { channel: '#checkout-design' }).payload.channel, '#checkout-design');
+});
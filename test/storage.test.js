@@ -0,0 +1,99 @@
+// test/storage.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createMemoryStore, createFileStore, createRedisStore } from '../lib/storage.js';
+
+// A minimal stand-in for the Upstash REST API: one command per POST, { result } back
+const redisData = new Map(); // key -> { value, expiresAt }
+const redisCommands = [];
+let server;
+const tempDirs = [];
+
+function live(key) {
+  const entry = redisData.get(key);
+  if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+    redisData.delete(key);
+    return null;
+  }
+  return entry || null;
+}
+
+const REDIS_COMMANDS = {
+  GET: ([key]) => live(key)?.value ?? null,
+  SET: ([key, value, , ttl]) => {
+    redisData.set(key, { value, expiresAt: ttl ? Date.now() + Number(ttl) : null });
+    return 'OK';
+  },
+  DEL: ([key]) => (redisData.delete(key) ? 1 : 0),
+  SCAN: ([, , pattern]) => {
+    const prefix = pattern.slice(0, -1).replace(/\\(.)/g, '$1');
+    return ['0', [...redisData.keys()].filter(key => key.startsWith(prefix) && live(key))];
+  },
+  MGET: keys => keys.map(key => live(key)?.value ?? null)
+};
+
+before(async () => {
+  server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) {
+      body += chunk;
+    }
+    const [name, ...args] = JSON.parse(body);
+    redisCommands.push({ name, auth: req.headers.authorization });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ result: REDIS_COMMANDS[name](args) }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+});
+
+after(() => {
+  server.close();
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+const backends = {
+  memory: () => createMemoryStore(),
+  file: () => {
+    tempDirs.push(fs.mkdtempSync(path.join(os.tmpdir(), 'figma-slackbot-')));
+    return createFileStore(path.join(tempDirs.at(-1), 'store.json'));
+  },
+  redis: () => createRedisStore({ url: `http://127.0.0.1:${server.address().port}/`, token: 'kv-token', prefix: 'test:' })
+};
+
+for (const [name, create] of Object.entries(backends)) {
+  test(`${name} store gets, sets, deletes and lists entries per namespace`, async () => {
+    const store = create();
+    await store.set('sentMessages', 'request-1', { channel: '#ds', posts: [1, 2] });
+    await store.set('sentMessages', 'request-2', 'two');
+    await store.set('history', 'request-1', 'other namespace');
+
+    assert.deepEqual(await store.get('sentMessages', 'request-1'), { channel: '#ds', posts: [1, 2] });
+    assert.equal(await store.get('sentMessages', 'missing'), null);
+    assert.deepEqual((await store.entries('sentMessages')).sort(), [['request-1', { channel: '#ds', posts: [1, 2] }], ['request-2', 'two']]);
+
+    assert.equal(await store.delete('sentMessages', 'request-2'), true);
+    assert.equal(await store.delete('sentMessages', 'request-2'), false);
+    assert.deepEqual(await store.entries('sentMessages'), [['request-1', { channel: '#ds', posts: [1, 2] }]]);
+  });
+
+  test(`${name} store expires entries after their TTL`, async () => {
+    const store = create();
+    await store.set('requests', 'short', true, 20);
+    await store.set('requests', 'long', true, 60 * 1000);
+    await new Promise(resolve => setTimeout(resolve, 40));
+
+    assert.equal(await store.get('requests', 'short'), null);
+    assert.deepEqual(await store.entries('requests'), [['long', true]]);
+  });
+}
+
+test('redis store sends the token and prefixes keys', async () => {
+  assert.ok(redisCommands.every(command => command.auth === 'Bearer kv-token'));
+  assert.ok([...redisData.keys()].every(key => key.startsWith('test:')));
+  assert.equal(createRedisStore({ url: 'http://localhost', token: 't' }).shared, true);
+  assert.equal(createMemoryStore().shared, false);
+});
@@ -0,0 +1,30 @@
+// test/versions.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { parseSemanticCommit } from '../lib/commits.js';
+import { validateConfig, ConfigError } from '../lib/config.js';
+import { previewRelease } from '../lib/versions.js';
+
+const library = { name: 'Components', versioning: { initial: '1.2.3' } };
+const preview = description => previewRelease('FILE', library, parseSemanticCommit(description));
+
+test('previewRelease bumps by commit type', async () => {
+  assert.deepEqual(await preview('feat: Card'), { previous: '1.2.3', version: '1.3.0', bump: 'minor' });
+  assert.deepEqual(await preview('fix: Card'), { previous: '1.2.3', version: '1.2.4', bump: 'patch' });
+  assert.deepEqual(await preview('chore: cleanup'), { previous: '1.2.3', version: '1.2.3', bump: null });
+});
+
+test('previewRelease uses the largest bump and makes breaking notes major', async () => {
+  assert.equal((await preview('fix: Card\nfeat: Button')).bump, 'minor');
+  assert.equal((await preview('chore: cleanup\nBREAKING CHANGE: Removed Chip')).version, '2.0.0');
+});
+
+test('validateConfig checks commit type bumps', () => {
+  const config = JSON.parse(fs.readFileSync(new URL('../config/slackbot.json', import.meta.url), 'utf8'));
+  config.commitTypes.docs.bump = 'patch';
+  assert.doesNotThrow(() => validateConfig(config));
+
+  config.commitTypes.docs.bump = 'tiny';
+  assert.throws(() => validateConfig(config), error => error instanceof ConfigError && /commitTypes\.docs\.bump/.test(error.message));
+});
@@ -0,0 +1,117 @@
+// test/webhook-auth.test.js
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { Readable } from 'node:stream';
+import { verifyWebhookRequest, releaseWebhookRequest, readWebhookBody } from '../lib/webhook-auth.js';
+
+const SECRET = 'figma-secret';
+let webhookId = 0;
+
+beforeEach(() => {
+  process.env.FIGMA_WEBHOOK_SECRET = SECRET;
+  delete process.env.FIGMA_WEBHOOK_AUTH_MODE;
+  delete process.env.FIGMA_WEBHOOK_MAX_AGE_SECONDS;
+});
+
+// A request as api/figma-webhook.js sees it after readWebhookBody. Each gets its own webhook_id
+// so replay tracking from other tests doesn't interfere.
+function request({ passcode = SECRET, timestamp = new Date().toISOString(), signature } = {}) {
+  const body = { event_type: 'LIBRARY_PUBLISH', webhook_id: `hook-${++webhookId}`, timestamp, ...(passcode ? { passcode } : {}) };
+  const rawBody = Buffer.from(JSON.stringify(body));
+  const hmac = crypto.createHmac('sha256', SECRET).update(rawBody).digest('hex');
+  return {
+    headers: signature !== undefined ? { 'x-figma-signature': signature === true ? `sha256=${hmac}` : signature } : {},
+    rawBody,
+    body
+  };
+}
+
+test('passcode mode accepts the configured passcode', async () => {
+  assert.deepEqual(await verifyWebhookRequest(request()), { ok: true });
+});
+
+test('passcode mode rejects a wrong or missing passcode', async () => {
+  assert.equal((await verifyWebhookRequest(request({ passcode: 'wrong' }))).code, 'invalid_passcode');
+  assert.equal((await verifyWebhookRequest(request({ passcode: null }))).code, 'missing_passcode');
+});
+
+test('requests are rejected when no secret is configured', async () => {
+  delete process.env.FIGMA_WEBHOOK_SECRET;
+  assert.equal((await verifyWebhookRequest(request())).code, 'missing_secret');
+});
+
+test('hmac mode checks the signature over the raw body', async () => {
+  process.env.FIGMA_WEBHOOK_AUTH_MODE = 'hmac';
+
+  assert.deepEqual(await verifyWebhookRequest(request({ passcode: null, signature: true })), { ok: true });
+  assert.equal((await verifyWebhookRequest(request({ signature: 'sha256=deadbeef' }))).code, 'invalid_signature');
+  assert.equal((await verifyWebhookRequest(request())).code, 'invalid_signature');
+
+  // A body the platform parsed can't be checked, even with a signature
+  const parsed = request({ signature: true });
+  delete parsed.rawBody;
+  assert.equal((await verifyWebhookRequest(parsed)).code, 'invalid_signature');
+});
+
+test('all mode needs both the passcode and the signature', async () => {
+  process.env.FIGMA_WEBHOOK_AUTH_MODE = 'all';
+
+  assert.deepEqual(await verifyWebhookRequest(request({ signature: true })), { ok: true });
+  assert.equal((await verifyWebhookRequest(request())).code, 'invalid_signature');
+  assert.equal((await verifyWebhookRequest(request({ passcode: 'wrong', signature: true }))).code, 'invalid_passcode');
+});
+
+test('any mode accepts either credential', async () => {
+  process.env.FIGMA_WEBHOOK_AUTH_MODE = 'any';
+
+  assert.deepEqual(await verifyWebhookRequest(request()), { ok: true });
+  assert.deepEqual(await verifyWebhookRequest(request({ passcode: 'wrong', signature: true })), { ok: true });
+  assert.equal((await verifyWebhookRequest(request({ passcode: 'wrong' }))).code, 'invalid_credentials');
+});
+
+test('timestamps outside the window are rejected', async () => {
+  const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+  // Figma's last retry comes 3 hours after the original delivery
+  assert.deepEqual(await verifyWebhookRequest(request({ timestamp: hoursAgo(3) })), { ok: true });
+  assert.equal((await verifyWebhookRequest(request({ timestamp: hoursAgo(5) }))).code, 'stale_timestamp');
+  assert.equal((await verifyWebhookRequest(request({ timestamp: hoursAgo(-5) }))).code, 'stale_timestamp');
+  assert.equal((await verifyWebhookRequest(request({ timestamp: 'yesterday' }))).code, 'invalid_timestamp');
+
+  process.env.FIGMA_WEBHOOK_MAX_AGE_SECONDS = '60';
+  assert.equal((await verifyWebhookRequest(request({ timestamp: hoursAgo(1) }))).code, 'stale_timestamp');
+});
+
+test('a delivery is only accepted once', async () => {
+  const req = request();
+
+  assert.deepEqual(await verifyWebhookRequest(req), { ok: true });
+  assert.equal((await verifyWebhookRequest(req)).code, 'replayed');
+});
+
+test('dry runs do not use up the delivery', async () => {
+  const req = request();
+
+  assert.deepEqual(await verifyWebhookRequest(req, { recordDelivery: false }), { ok: true });
+  assert.deepEqual(await verifyWebhookRequest(req), { ok: true });
+});
+
+test('a released delivery is accepted again, so Figma can retry after a 500', async () => {
+  const req = request();
+
+  assert.deepEqual(await verifyWebhookRequest(req), { ok: true });
+  await releaseWebhookRequest(req);
+  assert.deepEqual(await verifyWebhookRequest(req), { ok: true });
+  assert.equal((await verifyWebhookRequest(req)).code, 'replayed');
+});
+
+test('readWebhookBody keeps the raw bytes and parses the JSON', async () => {
+  const raw = '{"event_type":"PING", "passcode":"x"}';
+  const req = Readable.from([Buffer.from(raw)]);
+
+  assert.deepEqual(await readWebhookBody(req), { event_type: 'PING', passcode: 'x' });
+  assert.equal(req.rawBody.toString(), raw);
+
+  await assert.rejects(readWebhookBody(Readable.from([Buffer.from('{not json')])), SyntaxError);
+});